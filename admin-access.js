@@ -0,0 +1,52 @@
+// admin-access.js
+// Add this to bookmarklet.js, after google-sheets-oauth.js
+
+// ============================================================================
+// ADMIN ACCESS CONFIGURATION
+// ============================================================================
+
+const ADMIN_CONFIG = {
+  // Google accounts allowed to run admin actions (rate limit resets,
+  // sheet diagnostics, integrity history). Empty = nobody.
+  admins: [
+    // 'direccio@escola.cat',
+  ]
+};
+
+/**
+ * Is this email in the admin list?
+ */
+function isAdminEmail(email) {
+  if (!email) return false;
+  return ADMIN_CONFIG.admins.some(admin => admin.toLowerCase() === email.toLowerCase());
+}
+
+/**
+ * Make sure the signed-in Google account is an admin before running action
+ * Signs in first when needed. Every decision is an audit event.
+ * Note: like the rate limits themselves this is a client-side check; it keeps
+ * teachers from clearing their own lockouts, not a determined attacker.
+ */
+async function requireAdmin(action) {
+  let email = isSignedIn() ? getSignedInEmail() : null;
+
+  if (!email) {
+    try {
+      await loadGoogleAPI();
+      await signInToGoogle();
+      email = getSignedInEmail();
+    } catch (error) {
+      logSecurity('warn', `Admin sign-in failed for ${action}`, { error: error.message });
+      return false;
+    }
+  }
+
+  if (!isAdminEmail(email)) {
+    logSecurity('warn', `Blocked admin action: ${action}`, { email: email });
+    alert(`🚫 Aquesta acció només està disponible per als administradors.\n\nCompte actual: ${email || 'desconegut'}`);
+    return false;
+  }
+
+  logSecurity('info', `Admin action authorized: ${action}`, { admin: email });
+  return true;
+}
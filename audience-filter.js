@@ -0,0 +1,136 @@
+// audience-filter.js
+// Add this to bookmarklet.js, after sheet-schema.js
+
+// ============================================================================
+// AUDIENCE CONFIGURATION
+// ============================================================================
+
+const AUDIENCE_CONFIG = {
+  // Hide rows/groups whose audience rule doesn't match the signed-in user
+  enabled: true,
+
+  // Tab (or named range) defining roles: column A = role, column B = members
+  // Members are emails or domains, one per row or comma separated
+  // null = no roles tab (rules can still use emails and domains), e.g. 'Rols'
+  rolesRange: null,
+
+  // Rule values that mean "everyone"
+  everyone: ['*', 'tothom', 'all']
+};
+
+/**
+ * Split a rule cell into its entries
+ */
+function splitAudienceRule(rule) {
+  return String(rule || '')
+    .split(/[,;\n]/)
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Parse the roles tab into { role: [members] }
+ */
+function parseRolesRows(rows) {
+  const roles = {};
+  if (!rows) return roles;
+
+  // Skip header row
+  for (let i = 1; i < rows.length; i++) {
+    const [role, members] = rows[i];
+    if (!role || !members) continue;
+
+    const name = role.trim().toLowerCase();
+    roles[name] = (roles[name] || []).concat(splitAudienceRule(members));
+  }
+
+  return roles;
+}
+
+/**
+ * Check one member entry (email or domain) against an email
+ */
+function memberMatchesEmail(member, email) {
+  if (member.includes('@') && !member.startsWith('@') && !member.startsWith('*@')) {
+    return member === email;
+  }
+
+  // Domain: "@escola.cat", "*@escola.cat" or "escola.cat"
+  const domain = member.replace(/^\*?@/, '');
+  return email.endsWith('@' + domain);
+}
+
+/**
+ * Check an audience rule against the signed-in email
+ * Empty rule = visible to everyone; unknown email = only public docs
+ */
+function isAudienceAllowed(rule, email, roles) {
+  const entries = splitAudienceRule(rule);
+  if (entries.length === 0) return true;
+  if (entries.some(entry => AUDIENCE_CONFIG.everyone.includes(entry))) return true;
+  if (!email) return false;
+
+  const normalizedEmail = email.toLowerCase();
+
+  return entries.some(entry => {
+    // Explicit email or domain
+    if (entry.includes('@') || entry.includes('.')) {
+      return memberMatchesEmail(entry, normalizedEmail);
+    }
+
+    // Named role ("direccio" or "role:direccio")
+    const members = roles[entry.replace(/^role:/, '')] || [];
+    return members.some(member => memberMatchesEmail(member, normalizedEmail));
+  });
+}
+
+/**
+ * Remove docs the user isn't meant to see
+ * Returns { groups, blockedCount }
+ */
+function filterGroupsByAudience(groups, email, roles) {
+  const filtered = {};
+  let blockedCount = 0;
+
+  for (const [group, docs] of Object.entries(groups)) {
+    const visible = docs.filter(doc =>
+      isAudienceAllowed(doc.groupAudience, email, roles) &&
+      isAudienceAllowed(doc.audience, email, roles)
+    );
+
+    blockedCount += docs.length - visible.length;
+
+    if (visible.length) {
+      filtered[group] = visible;
+    }
+  }
+
+  return { groups: filtered, blockedCount };
+}
+
+/**
+ * Apply audience rules to every section and log what was hidden
+ * (logBlocked: false for a render that the fresh data will repeat)
+ */
+function filterSectionsByAudience(sections, email, roles, { logBlocked = true } = {}) {
+  if (!AUDIENCE_CONFIG.enabled) return sections;
+
+  let blockedCount = 0;
+
+  const visible = sections
+    .map(section => {
+      const result = filterGroupsByAudience(section.groups, email, roles);
+      blockedCount += result.blockedCount;
+      return { ...section, groups: result.groups };
+    })
+    .filter(section => Object.keys(section.groups).length > 0);
+
+  if (logBlocked && blockedCount > 0) {
+    logSecurity('info', `Blocked ${blockedCount} documents by audience rules`, {
+      blockedCount: blockedCount,
+      signedIn: !!email
+    });
+  }
+
+  return visible;
+}
@@ -0,0 +1,79 @@
+// canonical-data.js
+// Add this to bookmarklet.js, before data-integrity.js
+// Also loaded by the Node tools (require('./canonical-data.js')) so both
+// sides hash exactly the same canonical form.
+
+// ============================================================================
+// CANONICAL FORM FOR INTEGRITY HASHING
+// ============================================================================
+
+/**
+ * Normalize one cell: NFC, LF line endings, collapsed and trimmed whitespace
+ */
+function canonicalizeCell(cell) {
+  return String(cell ?? '')
+    .normalize('NFC')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Header name used to order columns (lowercase, no accents)
+ */
+function canonicalColumnName(name) {
+  return canonicalizeCell(name)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Canonical rows of one table
+ * - empty rows dropped, trailing empty cells dropped
+ * - columns sorted by header name, so moving a column doesn't change the hash
+ */
+function canonicalizeRows(rows) {
+  const normalized = rows
+    .map(row => row.map(canonicalizeCell))
+    .filter(row => row.some(Boolean));
+
+  if (normalized.length === 0) return [];
+
+  const header = normalized[0];
+  const width = Math.max(...normalized.map(row => row.length));
+  const order = Array.from({ length: width }, (_, index) => index)
+    .sort((a, b) => {
+      const nameA = canonicalColumnName(header[a]);
+      const nameB = canonicalColumnName(header[b]);
+      if (nameA !== nameB) return nameA < nameB ? -1 : 1;
+      return a - b;
+    });
+
+  return normalized.map(row => {
+    const reordered = order.map(index => row[index] || '');
+    while (reordered.length && reordered[reordered.length - 1] === '') {
+      reordered.pop();
+    }
+    return reordered;
+  });
+}
+
+/**
+ * Canonical string for a list of tables ([{ rows }]) - this is what gets hashed
+ * Table names are left out so the CSV export and the Sheets API hash the same
+ */
+function canonicalizeTables(tables) {
+  return JSON.stringify(
+    tables
+      .map(table => canonicalizeRows(table.rows))
+      .filter(rows => rows.length > 0)
+  );
+}
+
+// Node tools (sign-data-manifest.js, generate-csv-hash.js)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { canonicalizeCell, canonicalizeRows, canonicalizeTables };
+}
@@ -0,0 +1,138 @@
+// content-hash.js
+// Add this to bookmarklet.js, after sheet-schema.js
+
+// ============================================================================
+// LINKED DOCUMENT HASH CONFIGURATION
+// ============================================================================
+
+const CONTENT_HASH_CONFIG = {
+  // Verify documents whose row has a sha256 column before opening them
+  enabled: true,
+
+  // Only our own hosting can be fetched (CORS) and hashed
+  allowedOrigins: [
+    'https://joanfelipgithub.github.io'
+  ],
+
+  // Blob URLs are revoked after this long (the new tab has loaded by then)
+  revokeAfterMs: 60000
+};
+
+/**
+ * Normalize a sha256 cell: lowercase hex, optional 'sha256-' prefix removed
+ */
+function normalizeContentHash(value) {
+  return String(value || '').trim().toLowerCase().replace(/^sha256-/, '');
+}
+
+function isValidContentHash(hash) {
+  return /^[0-9a-f]{64}$/.test(hash);
+}
+
+/**
+ * Can this URL be fetched and hashed?
+ */
+function isContentHashOrigin(url) {
+  try {
+    return CONTENT_HASH_CONFIG.allowedOrigins.includes(new URL(url).origin);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Fetch a document and check it against its sha256
+ * Returns { verified, blob, actualHash, reason }
+ */
+async function fetchVerifiedDocument(doc) {
+  if (!isValidContentHash(doc.sha256)) {
+    return { verified: false, reason: 'Invalid sha256 value in sheet' };
+  }
+
+  if (!isContentHashOrigin(doc.url)) {
+    return { verified: false, reason: 'Document is not hosted on an allowed origin' };
+  }
+
+  const response = await fetch(doc.url, { cache: 'no-cache', credentials: 'omit' });
+  if (!response.ok) {
+    return { verified: false, reason: `HTTP ${response.status}` };
+  }
+
+  const blob = await response.blob();
+  const hashBuffer = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  const actualHash = Array.from(new Uint8Array(hashBuffer))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+
+  if (actualHash !== doc.sha256) {
+    return { verified: false, actualHash, reason: 'Content hash mismatch' };
+  }
+
+  return { verified: true, blob, actualHash };
+}
+
+/**
+ * Open a document only after its content hash matches
+ * The tab is opened synchronously (popup blockers) and filled in afterwards
+ */
+async function openVerifiedDocument(doc) {
+  const urlCheck = isURLSafe(doc.url);
+  if (!urlCheck.safe) {
+    alert(`🚫 Enllaç bloquejat: ${urlCheck.reason}`);
+    return;
+  }
+
+  const win = window.open('', '_blank');
+  if (win) {
+    win.opener = null;
+    win.document.title = doc.label;
+    win.document.body.textContent = '🔒 Verificant el document...';
+  }
+
+  let result;
+  try {
+    result = await fetchVerifiedDocument(doc);
+  } catch (error) {
+    result = { verified: false, reason: error.message };
+  }
+
+  if (!result.verified) {
+    win?.close();
+    logSecurity('error', `Blocked document with unverified content: ${doc.label}`, {
+      url: doc.url,
+      reason: result.reason,
+      expected: doc.sha256.substring(0, 16) + '...',
+      actual: result.actualHash ? result.actualHash.substring(0, 16) + '...' : null
+    });
+    alert('❌ ERROR DE SEGURETAT: El document no coincideix amb la versió verificada i no s\'obrirà. Contacta amb l\'administrador.');
+    return;
+  }
+
+  const blobURL = URL.createObjectURL(result.blob);
+  if (win) {
+    win.location.href = blobURL;
+  } else {
+    window.open(blobURL, '_blank', 'noopener');
+  }
+  setTimeout(() => URL.revokeObjectURL(blobURL), CONTENT_HASH_CONFIG.revokeAfterMs);
+
+  logSecurity('info', `User opened: ${doc.label}`, {
+    url: doc.url,
+    contentHashVerified: true
+  });
+}
+
+/**
+ * Route clicks on a doc button with a sha256 through openVerifiedDocument
+ * Capture phase + stopImmediatePropagation so buildUI's own handler never opens the raw URL
+ */
+function attachContentHashCheck(btn, doc) {
+  btn.addEventListener('click', (e) => {
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    openVerifiedDocument(doc);
+  }, true);
+
+  btn.appendChild(createDocBadge('🔒', 'rgba(255,255,255,0.25)', 'inherit'));
+  btn.title = [btn.title, 'Contingut verificat abans d\'obrir-lo'].filter(Boolean).join('\n');
+}
@@ -0,0 +1,145 @@
+// csv-parser.js
+// Add this to bookmarklet.js, after sheet-schema.js
+
+// ============================================================================
+// RFC 4180 CSV PARSER
+// ============================================================================
+
+/**
+ * Split CSV text into rows of fields
+ * Handles quoted fields, escaped quotes (""), embedded newlines, a leading BOM
+ * and CRLF / LF / CR line endings.
+ * Returns { rows, diagnostics } where diagnostics = [{ row, reason }]
+ */
+function parseCSVRows(text) {
+  const rows = [];
+  const diagnostics = [];
+
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+
+  // Google's export sometimes starts with a BOM
+  if (text.charCodeAt(0) === 0xFEFF) i = 1;
+
+  const endRow = () => {
+    row.push(field);
+    rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          // Escaped quote
+          field += '"';
+          i += 2;
+          continue;
+        }
+        inQuotes = false;
+      } else if (ch === '\r') {
+        // Embedded line break: normalize CRLF / CR to LF
+        field += '\n';
+        if (text[i + 1] === '\n') i++;
+      } else {
+        field += ch;
+      }
+      i++;
+      continue;
+    }
+
+    if (ch === '"' && field === '') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\r' || ch === '\n') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      // Lenient: a stray quote inside an unquoted field is kept as text
+      field += ch;
+    }
+    i++;
+  }
+
+  if (inQuotes) {
+    // The rest of the file was swallowed by the open quote: drop it
+    diagnostics.push({
+      row: rows.length + 1,
+      reason: 'Cometes sense tancar: la resta del fitxer s\'ha ignorat'
+    });
+  } else if (field !== '' || row.length > 0) {
+    // Last line without a trailing newline
+    endRow();
+  }
+
+  return { rows, diagnostics };
+}
+
+/**
+ * Parse a CSV export into { groups, diagnostics }
+ * Skipped rows are reported with their sheet row number and the reason
+ */
+function parseCSVDocs(csv) {
+  const { rows, diagnostics } = parseCSVRows(csv);
+  const groups = parseSheetRows(rows, diagnostics);
+
+  diagnostics.sort((a, b) => a.row - b.row);
+
+  if (diagnostics.length > 0) {
+    logSecurity('warn', `Skipped ${diagnostics.length} CSV rows`, {
+      rows: diagnostics.map(d => d.row)
+    });
+  }
+
+  return { groups, diagnostics };
+}
+
+// ============================================================================
+// UI: ADMIN WARNINGS FOR SKIPPED ROWS
+// ============================================================================
+
+/**
+ * Show skipped rows next to the security warning (collapsed by default)
+ */
+function showParseDiagnostics(overlay, diagnostics) {
+  const box = document.createElement('details');
+  Object.assign(box.style, {
+    background: 'rgba(255, 193, 7, 0.15)',
+    border: '2px solid #ffc107',
+    borderRadius: '8px',
+    padding: '10px 15px',
+    margin: '10px 0',
+    maxWidth: '1200px',
+    width: '100%',
+    color: '#fff',
+    fontSize: '14px'
+  });
+
+  const summary = document.createElement('summary');
+  summary.textContent = `⚠️ ${diagnostics.length} files del Google Sheet s'han ignorat (per a l'administrador)`;
+  summary.style.cursor = 'pointer';
+  box.appendChild(summary);
+
+  const list = document.createElement('ul');
+  list.style.margin = '10px 0 0 0';
+  diagnostics.forEach(d => {
+    const item = document.createElement('li');
+    item.textContent = `Fila ${d.row}: ${d.reason}`;
+    list.appendChild(item);
+  });
+  box.appendChild(list);
+
+  overlay.appendChild(box);
+}
+
+// Node tools hash local CSV files with the same parser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { parseCSVRows };
+}
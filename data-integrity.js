@@ -10,19 +10,51 @@ const INTEGRITY_CONFIG = {
   enabled: true,
   
   // Expected hash of the CSV data (update this when Sheet changes)
-  // Generate with: node generate-csv-hash.js
+  // Generate with: node generate-csv-hash.js <file.csv> --write-config
   expectedHash: null, // Set to null to disable, or 'sha256-abc123...' to enable
   
+  // Approved hashes: several versions can be valid at once, e.g. the old and
+  // the new one while clients pick up a sheet edit. expectedHash counts as one more.
+  // { hash: 'sha256-...', approvedBy: 'admin@escola.cat', approvedAt: '2026-10-01', expiresAt: '2026-10-15' }
+  // expiresAt is optional; a plain date is valid until the end of that day.
+  // Written by: node generate-csv-hash.js <file.csv> --write-config --grace <date>
+  // With a signed manifest, the manifest's own approvedHashes are used instead.
+  approvedHashes: [],
+  
   // Hash algorithm
   algorithm: 'SHA-256',
   
+  // Hash the canonical rows (canonical-data.js) instead of the raw bytes,
+  // so whitespace, line endings, blank rows and column order don't matter
+  canonicalize: true,
+  
   // Allow bypass for admins (with warning)
   allowBypass: true,
   
   // Store hash history for rollback
-  storeHashHistory: true
+  storeHashHistory: true,
+  
+  // Signed data manifest: replaces expectedHash and approvedHashes when publicKey is set.
+  // Admins sign a new manifest with: node sign-data-manifest.js sign <file>
+  // (--grace <date> keeps the previous version approved until then).
+  // No bookmarklet redeploy needed when the sheet changes.
+  manifest: {
+    url: 'https://joanfelipgithub.github.io/clickedu_docs_overlay/data-manifest.json',
+    
+    // 'ECDSA-P256' or 'Ed25519' (must match the key pair)
+    algorithm: 'ECDSA-P256',
+    
+    // Public JWK printed by: node sign-data-manifest.js keygen
+    publicKey: null
+  }
 };
 
+// Highest manifest version seen, to refuse replaying an older manifest
+const MANIFEST_VERSION_KEY = 'integrity_manifest_version';
+
+// Known-good hash pinned by an admin on this browser (integrity-history.js)
+const PINNED_HASH_KEY = 'integrity_pinned_hash';
+
 /**
  * Generate SHA-256 hash of data
  */
@@ -35,47 +67,320 @@ async function generateHash(data) {
   return hashHex;
 }
 
+/**
+ * Decode base64 (standard or URL-safe) to bytes
+ */
+function base64ToBytes(base64) {
+  const normalized = base64.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(normalized), c => c.charCodeAt(0));
+}
+
+/**
+ * WebCrypto parameters for the configured manifest algorithm
+ */
+function getManifestAlgorithm() {
+  if (INTEGRITY_CONFIG.manifest.algorithm === 'Ed25519') {
+    return { importParams: { name: 'Ed25519' }, verifyParams: { name: 'Ed25519' } };
+  }
+  
+  return {
+    importParams: { name: 'ECDSA', namedCurve: 'P-256' },
+    verifyParams: { name: 'ECDSA', hash: 'SHA-256' }
+  };
+}
+
+/**
+ * Check if a signed manifest is configured
+ */
+function isManifestEnabled() {
+  return !!INTEGRITY_CONFIG.manifest?.publicKey;
+}
+
+/**
+ * The manifest couldn't be downloaded (offline, 404, CORS...): nothing says
+ * the data was tampered with, it just can't be verified right now
+ */
+class ManifestUnavailableError extends Error {
+  constructor(message, options = {}) {
+    super(message, { cause: options.cause });
+    this.name = 'ManifestUnavailableError';
+  }
+}
+
+/**
+ * Fetch the data manifest and verify its signature
+ * Manifest: { payload: '{"hash":"sha256-...","version":N,"timestamp":"...","approvedHashes":[...]}', signature: base64 }
+ * Returns the parsed payload
+ */
+async function fetchSignedManifest() {
+  let manifest;
+  try {
+    const response = await fetch(INTEGRITY_CONFIG.manifest.url, { cache: 'no-cache' });
+    
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    
+    manifest = await response.json();
+  } catch (error) {
+    throw new ManifestUnavailableError(`Failed to load data manifest: ${error.message}`, { cause: error });
+  }
+  
+  // The algorithm comes from our config, never from the manifest
+  const { importParams, verifyParams } = getManifestAlgorithm();
+  const publicKey = await crypto.subtle.importKey(
+    'jwk', INTEGRITY_CONFIG.manifest.publicKey, importParams, false, ['verify']
+  );
+  
+  const signatureValid = await crypto.subtle.verify(
+    verifyParams,
+    publicKey,
+    base64ToBytes(manifest.signature),
+    new TextEncoder().encode(manifest.payload)
+  );
+  
+  if (!signatureValid) {
+    logSecurity('error', 'Data manifest signature is INVALID');
+    throw new Error('Data manifest signature is invalid');
+  }
+  
+  const payload = JSON.parse(manifest.payload);
+  
+  // A missing or non-numeric version would slip past the rollback check
+  if (!Number.isSafeInteger(payload.version) || payload.version < 1) {
+    logSecurity('error', 'Data manifest has no valid version', { version: payload.version });
+    throw new Error(`Data manifest version is invalid: ${JSON.stringify(payload.version)}`);
+  }
+  
+  // Rollback protection: never accept an older manifest than one already seen
+  const lastVersion = parseInt(localStorage.getItem(MANIFEST_VERSION_KEY) || '0', 10) || 0;
+  if (payload.version < lastVersion) {
+    logSecurity('error', 'Data manifest rollback detected', {
+      version: payload.version,
+      lastVersion: lastVersion
+    });
+    throw new Error(`Data manifest version ${payload.version} is older than ${lastVersion}`);
+  }
+  
+  try {
+    localStorage.setItem(MANIFEST_VERSION_KEY, String(payload.version));
+  } catch (error) {
+    console.warn('Failed to store manifest version:', error);
+  }
+  
+  return payload;
+}
+
+/**
+ * Parse an approval date; plain dates (YYYY-MM-DD) mean the end of that day
+ */
+function parseApprovalDate(value, endOfDay = false) {
+  if (!value) return null;
+  const text = String(value);
+  const time = new Date(endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T23:59:59` : text).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+// Malformed approval entries already logged (once per source and index)
+const reportedInvalidApprovals = new Set();
+
+/**
+ * Normalize approval entries, skipping (and logging) the ones without a hash
+ */
+function normalizeApprovals(entries, source, extra = {}) {
+  return entries.flatMap((entry, index) => {
+    if (typeof entry?.hash !== 'string' || !entry.hash.trim()) {
+      const key = `${source}:${index}`;
+      if (!reportedInvalidApprovals.has(key)) {
+        reportedInvalidApprovals.add(key);
+        logSecurity('warn', `Ignoring approved hash entry without a hash (${source} #${index})`, { entry: entry });
+      }
+      return [];
+    }
+    
+    return [{
+      hash: entry.hash.trim().replace('sha256-', ''),
+      approvedBy: entry.approvedBy || null,
+      approvedAt: parseApprovalDate(entry.approvedAt),
+      expiresAt: parseApprovalDate(entry.expiresAt, true),
+      source: source,
+      ...extra
+    }];
+  });
+}
+
+/**
+ * Approved hashes from the config (expectedHash included), normalized
+ */
+function getApprovedHashes() {
+  const entries = [...(INTEGRITY_CONFIG.approvedHashes || [])];
+  
+  if (INTEGRITY_CONFIG.expectedHash) {
+    entries.push({ hash: INTEGRITY_CONFIG.expectedHash });
+  }
+  
+  return normalizeApprovals(entries, 'config');
+}
+
+/**
+ * Approved entries of the signed manifest: its current hash, then the
+ * approvedHashes it carries (e.g. the previous version during a grace period)
+ */
+function approvalsFromManifest(manifest) {
+  const current = {
+    hash: manifest.hash,
+    approvedBy: manifest.approvedBy,
+    approvedAt: manifest.timestamp,
+    expiresAt: manifest.expiresAt
+  };
+  
+  return normalizeApprovals(
+    [current, ...(Array.isArray(manifest.approvedHashes) ? manifest.approvedHashes : [])],
+    'manifest',
+    { version: manifest.version }
+  );
+}
+
+function isApprovalExpired(approval, now = Date.now()) {
+  return approval.expiresAt !== null && approval.expiresAt <= now;
+}
+
+/**
+ * Hash pinned on this browser: { hash, pinnedAt } or null
+ */
+function getPinnedHash() {
+  try {
+    return JSON.parse(localStorage.getItem(PINNED_HASH_KEY) || 'null');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Pin a known-good hash: any other data raises the integrity dialog
+ */
+function pinHash(hash) {
+  localStorage.setItem(PINNED_HASH_KEY, JSON.stringify({ hash: hash, pinnedAt: Date.now() }));
+  logSecurity('warn', 'Integrity hash pinned locally', { hash: hash.substring(0, 16) + '...' });
+}
+
+function unpinHash() {
+  localStorage.removeItem(PINNED_HASH_KEY);
+  logSecurity('warn', 'Integrity hash unpinned');
+}
+
 /**
  * Verify data integrity
+ * knownHash: hash of data computed earlier (unchanged cached copy), so only
+ * the check against the current approvals, manifest and pin runs
+ * Returns the approved entry that matched as `approval`
  */
-async function verifyDataIntegrity(data) {
-  if (!INTEGRITY_CONFIG.enabled || !INTEGRITY_CONFIG.expectedHash) {
-    // Integrity checking disabled
+async function verifyDataIntegrity(data, knownHash = null) {
+  const pinned = getPinnedHash();
+  
+  if (!INTEGRITY_CONFIG.enabled || (getApprovedHashes().length === 0 && !isManifestEnabled() && !pinned)) {
+    // Integrity checking disabled, but still report the hash so it lands in
+    // the history and the first load can be pinned
     return {
       verified: true,
       skipped: true,
+      hash: knownHash || await generateHash(data).catch(() => null),
       message: 'Integrity checking disabled'
     };
   }
   
+  let actualHash = null;
   try {
-    const actualHash = await generateHash(data);
-    const expectedHash = INTEGRITY_CONFIG.expectedHash.replace('sha256-', '');
+    actualHash = knownHash || await generateHash(data);
+    
+    // A locally pinned hash must match, whatever the config approves
+    if (pinned && pinned.hash !== actualHash) {
+      logSecurity('error', 'Data differs from the locally pinned hash', {
+        pinned: pinned.hash.substring(0, 16) + '...',
+        actual: actualHash.substring(0, 16) + '...'
+      });
+      
+      return {
+        verified: false,
+        hash: actualHash,
+        pinned: pinned,
+        message: 'Data differs from the locally pinned hash'
+      };
+    }
     
-    if (actualHash === expectedHash) {
+    if (pinned && getApprovedHashes().length === 0 && !isManifestEnabled()) {
+      return {
+        verified: true,
+        hash: actualHash,
+        approval: { hash: actualHash, approvedBy: null, approvedAt: pinned.pinnedAt, expiresAt: null, source: 'pin' },
+        message: 'Data matches the locally pinned hash'
+      };
+    }
+    
+    // Signed manifest (with its own approved entries) wins over the static config
+    const manifest = isManifestEnabled() ? await fetchSignedManifest() : null;
+    const approved = manifest ? approvalsFromManifest(manifest) : getApprovedHashes();
+    const manifestVersion = manifest ? manifest.version : null;
+    
+    const matches = approved.filter(entry => entry.hash === actualHash);
+    const approval = matches.find(entry => !isApprovalExpired(entry));
+    
+    if (approval) {
       logSecurity('info', 'Data integrity verified', {
-        hash: actualHash.substring(0, 16) + '...'
+        hash: actualHash.substring(0, 16) + '...',
+        approvedBy: approval.approvedBy,
+        source: approval.source,
+        manifestVersion: manifestVersion
       });
       
       return {
         verified: true,
         hash: actualHash,
+        approval: approval,
+        manifestVersion: manifestVersion,
         message: 'Data integrity verified successfully'
       };
     } else {
-      logSecurity('error', 'Data integrity check FAILED', {
-        expected: expectedHash.substring(0, 16) + '...',
-        actual: actualHash.substring(0, 16) + '...'
+      // Matching an approval that has run out is still a failure
+      const expiredApproval = matches[0] || null;
+      const validHashes = approved
+        .filter(entry => !isApprovalExpired(entry))
+        .map(entry => entry.hash);
+      
+      logSecurity('error', expiredApproval ? 'Data hash approval EXPIRED' : 'Data integrity check FAILED', {
+        expected: validHashes.map(hash => hash.substring(0, 16) + '...'),
+        actual: actualHash.substring(0, 16) + '...',
+        expiredAt: expiredApproval ? new Date(expiredApproval.expiresAt).toISOString() : null,
+        manifestVersion: manifestVersion
       });
       
       return {
         verified: false,
         hash: actualHash,
-        expectedHash: expectedHash,
-        message: 'Data has been modified or corrupted'
+        approvedHashes: validHashes,
+        expiredApproval: expiredApproval,
+        manifestVersion: manifestVersion,
+        message: expiredApproval ? 'Approval for this data has expired' : 'Data has been modified or corrupted'
       };
     }
   } catch (error) {
+    // Couldn't check, which is not the same as a mismatch: no tampering alarm
+    if (error instanceof ManifestUnavailableError) {
+      logSecurity('warn', 'Data could not be verified: manifest unavailable', {
+        reason: error.message,
+        hash: actualHash ? actualHash.substring(0, 16) + '...' : null
+      });
+      
+      return {
+        verified: false,
+        skipped: true,
+        unverifiable: true,
+        hash: actualHash,
+        reason: error.message,
+        message: 'Could not verify data integrity (manifest unavailable)'
+      };
+    }
+    
     console.error('Integrity check error:', error);
     return {
       verified: false,
@@ -85,21 +390,38 @@ async function verifyDataIntegrity(data) {
   }
 }
 
+/**
+ * History status for a verifyDataIntegrity() result
+ */
+function integrityStatus(integrityCheck) {
+  if (integrityCheck.skipped) return 'unchecked';
+  return integrityCheck.verified ? 'verified' : 'bypassed';
+}
+
 /**
  * Store hash in history
+ * status: 'verified', 'bypassed' or 'unchecked' (integrity checking not
+ * configured). Reloading the same data only updates lastSeen.
  */
-function storeHashInHistory(hash, timestamp = Date.now()) {
+function storeHashInHistory(hash, status = 'verified', timestamp = Date.now()) {
   if (!INTEGRITY_CONFIG.storeHashHistory) return;
   
   try {
     const historyKey = 'integrity_hash_history';
     const history = JSON.parse(localStorage.getItem(historyKey) || '[]');
+    const last = history[history.length - 1];
     
-    history.push({
-      hash: hash,
-      timestamp: timestamp,
-      date: new Date(timestamp).toISOString()
-    });
+    if (last && last.hash === hash && last.status === status) {
+      last.lastSeen = timestamp;
+    } else {
+      history.push({
+        hash: hash,
+        status: status,
+        timestamp: timestamp,
+        date: new Date(timestamp).toISOString(),
+        lastSeen: timestamp
+      });
+    }
     
     // Keep only last 50 hashes
     if (history.length > 50) {
@@ -124,6 +446,214 @@ function getHashHistory() {
   }
 }
 
+// ============================================================================
+// VERIFIED SNAPSHOT AND ROW-LEVEL DIFF
+// ============================================================================
+
+const VERIFIED_SNAPSHOT_KEY = 'verified_snapshot';
+
+/**
+ * Store the rows of the last verified data together with its hash
+ * Kept in the same IndexedDB store as the offline cache
+ */
+async function storeVerifiedSnapshot(tables, hash) {
+  if (!tables) return;
+  
+  try {
+    await withCacheStore('readwrite', store => store.put({
+      key: VERIFIED_SNAPSHOT_KEY,
+      tables: tables,
+      hash: hash,
+      timestamp: Date.now()
+    }));
+  } catch (error) {
+    console.warn('Failed to store verified snapshot:', error);
+  }
+}
+
+/**
+ * Get the last verified snapshot (null if none)
+ */
+async function getVerifiedSnapshot() {
+  try {
+    return await withCacheStore('readonly', store => store.get(VERIFIED_SNAPSHOT_KEY)) || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Remove the verified snapshot (on sign-out: it holds the unfiltered rows)
+ */
+async function clearVerifiedSnapshot() {
+  try {
+    await withCacheStore('readwrite', store => store.delete(VERIFIED_SNAPSHOT_KEY));
+  } catch (error) {
+    console.warn('Failed to clear verified snapshot:', error);
+  }
+}
+
+/**
+ * Flatten tables into keyed records: table + group + label identifies a row
+ */
+function tablesToRecords(tables) {
+  const records = new Map();
+  
+  for (const table of tables) {
+    if (!table.rows.length) continue;
+    
+    const resolved = resolveColumns(table.rows[0]);
+    const columns = resolved ? resolved.columns : SHEET_SCHEMA_CONFIG.legacyColumns;
+    
+    for (let i = 1; i < table.rows.length; i++) {
+      const row = table.rows[i].map(cell => String(cell ?? '').trim());
+      if (!row.some(Boolean)) continue;
+      
+      const group = readRowField(row, columns, 'group');
+      const label = readRowField(row, columns, 'label');
+      const baseKey = `${table.name}\u0000${group}\u0000${label}`;
+      
+      // Same group + label twice: number the occurrences
+      let key = baseKey;
+      for (let n = 2; records.has(key); n++) key = `${baseKey}\u0000${n}`;
+      
+      records.set(key, {
+        table: table.name,
+        row: table.startRow + i,
+        group: group,
+        label: label,
+        url: readRowField(row, columns, 'url'),
+        text: row.join(' | ')
+      });
+    }
+  }
+  
+  return records;
+}
+
+/**
+ * Hostname of a URL (null if unparseable)
+ */
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Row-level diff between the verified snapshot and the new data
+ * Returns { added, removed, changed } or null without a snapshot
+ */
+function diffTables(oldTables, newTables) {
+  const oldRecords = tablesToRecords(oldTables);
+  const newRecords = tablesToRecords(newTables);
+  const knownDomains = new Set([...oldRecords.values()].map(r => hostnameOf(r.url)).filter(Boolean));
+  const isNewDomain = (url) => {
+    const host = hostnameOf(url);
+    return !!host && !knownDomains.has(host);
+  };
+  
+  const added = [];
+  const removed = [];
+  const changed = [];
+  
+  for (const [key, record] of newRecords) {
+    const previous = oldRecords.get(key);
+    
+    if (!previous) {
+      added.push({ ...record, newDomain: isNewDomain(record.url) });
+    } else if (previous.text !== record.text) {
+      changed.push({
+        ...record,
+        before: previous,
+        urlChanged: previous.url !== record.url,
+        newDomain: previous.url !== record.url && isNewDomain(record.url)
+      });
+    }
+  }
+  
+  for (const [key, record] of oldRecords) {
+    if (!newRecords.has(key)) removed.push(record);
+  }
+  
+  return { added, removed, changed };
+}
+
+/**
+ * Diff new data against the last verified snapshot (null if there is none)
+ */
+async function diffAgainstVerifiedSnapshot(tables) {
+  const snapshot = await getVerifiedSnapshot();
+  if (!snapshot || !tables) return null;
+  
+  return { ...diffTables(snapshot.tables, tables), since: snapshot.timestamp };
+}
+
+/**
+ * Render the diff for the integrity dialog
+ */
+function renderIntegrityDiff(diff) {
+  const container = document.createElement('div');
+  Object.assign(container.style, {
+    background: '#f8f9fa',
+    padding: '15px',
+    borderRadius: '8px',
+    marginBottom: '20px',
+    textAlign: 'left',
+    maxHeight: '260px',
+    overflowY: 'auto',
+    fontSize: '13px'
+  });
+  
+  const title = document.createElement('strong');
+  container.appendChild(title);
+  
+  if (!diff) {
+    title.textContent = 'No hi ha cap versió verificada anterior per comparar.';
+    return container;
+  }
+  
+  const newDomains = [...diff.added, ...diff.changed].filter(r => r.newDomain).length;
+  title.textContent = `Canvis des de la versió verificada del ${new Date(diff.since).toLocaleString('ca-ES')}: ` +
+    `${diff.added.length} afegides, ${diff.removed.length} eliminades, ${diff.changed.length} modificades`;
+  
+  if (newDomains > 0) {
+    const alert = document.createElement('div');
+    alert.textContent = `🚩 ${newDomains} enllaços apunten a dominis nous`;
+    Object.assign(alert.style, { color: '#dc3545', fontWeight: 'bold', marginTop: '8px' });
+    container.appendChild(alert);
+  }
+  
+  const list = document.createElement('ul');
+  list.style.margin = '10px 0 0 0';
+  list.style.paddingLeft = '20px';
+  
+  const addItem = (prefix, color, text, flagged) => {
+    const item = document.createElement('li');
+    item.textContent = `${prefix} ${text}`;
+    item.style.color = color;
+    if (flagged) {
+      item.style.fontWeight = 'bold';
+      item.style.background = '#f8d7da';
+      item.textContent += '  🚩 domini nou';
+    }
+    list.appendChild(item);
+  };
+  
+  const where = (r) => `${r.table} fila ${r.row}: ${r.group} › ${r.label}`;
+  
+  diff.added.forEach(r => addItem('➕', '#28a745', `${where(r)} → ${r.url}`, r.newDomain));
+  diff.removed.forEach(r => addItem('➖', '#6c757d', `${where(r)} (${r.url})`, false));
+  diff.changed.forEach(r => addItem('✏️', '#856404',
+    r.urlChanged ? `${where(r)}: ${r.before.url} → ${r.url}` : `${where(r)}: ${r.before.text} → ${r.text}`,
+    r.newDomain));
+  
+  container.appendChild(list);
+  return container;
+}
+
 /**
  * Show integrity error dialog
  */
@@ -149,7 +679,9 @@ function showIntegrityError(verificationResult) {
       background: '#fff',
       borderRadius: '12px',
       padding: '30px',
-      maxWidth: '600px',
+      maxWidth: '700px',
+      maxHeight: '95vh',
+      overflowY: 'auto',
       boxShadow: '0 10px 40px rgba(0,0,0,0.3)',
       border: '3px solid #dc3545'
     });
@@ -170,6 +702,7 @@ function showIntegrityError(verificationResult) {
             <li>Error de xarxa o memòria cau (temporal)</li>
           </ul>
         </div>
+        <div id="integrity-diff"></div>
         <div style="background: #fff3cd; padding: 15px; border-radius: 8px; margin-bottom: 20px; border-left: 4px solid #ffc107;">
           <strong>⚠️ Recomanació:</strong><br>
           Contacta amb l'administrador abans de continuar.
@@ -210,6 +743,36 @@ function showIntegrityError(verificationResult) {
       </div>
     `;
     
+    // Row-level diff against the last verified snapshot
+    const diffBox = renderIntegrityDiff(verificationResult.diff);
+    dialog.querySelector('#integrity-diff').replaceWith(diffBox);
+    
+    const addNote = (text) => {
+      const note = document.createElement('p');
+      Object.assign(note.style, {
+        background: '#f8d7da',
+        color: '#721c24',
+        padding: '10px 15px',
+        borderRadius: '8px',
+        margin: '0 0 20px 0',
+        textAlign: 'left'
+      });
+      note.textContent = text;
+      diffBox.before(note);
+    };
+    
+    // Same data as an approved version whose approval ran out
+    if (verificationResult.expiredApproval) {
+      addNote(`⏰ Aquestes dades estaven aprovades, però l'aprovació va caducar el ${
+        new Date(verificationResult.expiredApproval.expiresAt).toLocaleDateString('ca-ES')}.`);
+    }
+    
+    // Deviation from the hash an admin pinned on this browser
+    if (verificationResult.pinned) {
+      addNote(`📌 Les dades no coincideixen amb el hash fixat en aquest navegador el ${
+        new Date(verificationResult.pinned.pinnedAt).toLocaleDateString('ca-ES')}.`);
+    }
+    
     overlay.appendChild(dialog);
     document.body.appendChild(overlay);
     
@@ -236,84 +799,38 @@ function showIntegrityError(verificationResult) {
 
 /**
  * Modified loadDocs with integrity checking
+ * The integrity check is a step of the shared pipeline in data-sources.js
  */
 async function loadDocsWithIntegrityCheck(overlay, loadingMsg) {
-  const SHEET_URL = "https://docs.google.com/spreadsheets/d/1iAF3p81G8DdByShDyfz4ShoweV80QWuoQ7wWSzZUORQ/export?format=csv&gid=0";
+  return runDocsPipeline(overlay, loadingMsg);
+}
+
+/**
+ * One-line description of an approved entry, e.g.
+ * "Aprovat per admin@escola.cat · 01/10/2026 · fins al 15/10/2026"
+ */
+function describeApproval(approval) {
+  const formatDate = (time) => new Date(time).toLocaleDateString('ca-ES');
+  const parts = [approval.approvedBy ? `Aprovat per ${approval.approvedBy}` : 'Aprovat'];
   
-  try {
-    logSecurity('info', 'Fetching documents from Google Sheets...');
-    
-    // Fetch CSV
-    const csv = await loadCSVviaXHR(SHEET_URL);
-    
-    // Check integrity
-    loadingMsg.textContent = "🔒 Verificant integritat de les dades...";
-    const integrityCheck = await verifyDataIntegrity(csv);
-    
-    if (!integrityCheck.verified && !integrityCheck.skipped) {
-      // Integrity check failed
-      const shouldContinue = await showIntegrityError(integrityCheck);
-      
-      if (!shouldContinue) {
-        throw new Error('User cancelled due to integrity check failure');
-      }
-      
-      // User chose to continue despite failure
-      logSecurity('warn', 'Continuing with unverified data', {
-        actualHash: integrityCheck.hash?.substring(0, 16)
-      });
-    }
-    
-    // Store hash in history
-    if (integrityCheck.hash) {
-      storeHashInHistory(integrityCheck.hash);
-    }
-    
-    // Check if we actually got CSV data
-    if (!csv || csv.trim().length === 0) {
-      throw new Error("El Google Sheet està buit o no és accessible");
-    }
-    
-    // Parse and validate CSV
-    loadingMsg.textContent = "🔍 Processant documents...";
-    const docs = parseCSV(csv);
-    const validatedDocs = validateAndFilterDocs(docs);
-    
-    loadingMsg.remove();
-    
-    if (!Object.keys(validatedDocs.valid).length) { 
-      showError("⚠️ No s'han trobat documents vàlids al Google Sheet", overlay); 
-      return; 
-    }
-    
-    // Show security summary if items were blocked
-    if (validatedDocs.blocked.length > 0) {
-      showSecurityWarning(overlay, validatedDocs.blocked);
-    }
-    
-    // Show integrity status badge
-    if (integrityCheck.verified && !integrityCheck.skipped) {
-      showIntegrityBadge(overlay, 'verified');
-    } else if (!integrityCheck.verified && !integrityCheck.skipped) {
-      showIntegrityBadge(overlay, 'bypassed');
-    }
-    
-    buildUI(validatedDocs.valid, overlay);
-    
-    logSecurity('info', `Loaded ${countDocs(validatedDocs.valid)} valid documents`);
-    
-  } catch (err) {
-    loadingMsg.remove();
-    
-    // ... (existing error handling)
-  }
+  if (approval.approvedAt) parts.push(formatDate(approval.approvedAt));
+  if (approval.source === 'manifest') parts.push(`manifest v${approval.version}`);
+  if (approval.source === 'pin') parts[0] = 'Fixat localment';
+  if (approval.expiresAt) parts.push(`fins al ${formatDate(approval.expiresAt)}`);
+  
+  return parts.join(' · ');
 }
 
 /**
  * Show integrity status badge
+ * approval: the approved entry that matched (verified only)
  */
-function showIntegrityBadge(overlay, status) {
+function showIntegrityBadge(overlay, status, approval = null) {
+  // Replace the badge of an earlier load (e.g. before a retry)
+  overlay.querySelector('[data-integrity-badge]')?.remove();
+  
   const badge = document.createElement('div');
+  badge.setAttribute('data-integrity-badge', '');
   
   if (status === 'verified') {
     Object.assign(badge.style, {
@@ -329,7 +846,18 @@ function showIntegrityBadge(overlay, status) {
       zIndex: 10000,
       boxShadow: '0 2px 8px rgba(0,0,0,0.2)'
     });
-    badge.innerHTML = '✅ Dades Verificades';
+    badge.textContent = '✅ Dades Verificades';
+    
+    if (approval) {
+      const detail = document.createElement('div');
+      Object.assign(detail.style, {
+        fontSize: '11px',
+        fontWeight: 'normal',
+        marginTop: '2px'
+      });
+      detail.textContent = describeApproval(approval);
+      badge.appendChild(detail);
+    }
   } else if (status === 'bypassed') {
     Object.assign(badge.style, {
       position: 'fixed',
@@ -345,66 +873,30 @@ function showIntegrityBadge(overlay, status) {
       boxShadow: '0 2px 8px rgba(0,0,0,0.2)'
     });
     badge.innerHTML = '⚠️ Verificació Bypassed';
+  } else if (status === 'unverifiable') {
+    Object.assign(badge.style, {
+      position: 'fixed',
+      top: '70px',
+      right: '10px',
+      background: '#6c757d',
+      color: 'white',
+      padding: '8px 15px',
+      borderRadius: '20px',
+      fontSize: '13px',
+      fontWeight: 'bold',
+      zIndex: 10000,
+      boxShadow: '0 2px 8px rgba(0,0,0,0.2)'
+    });
+    badge.textContent = '❔ No s\'ha pogut verificar';
+    badge.title = 'No s\'ha pogut descarregar el manifest signat. Les dades no s\'han comprovat.';
   }
   
   overlay.appendChild(badge);
 }
 
-/**
- * Generate CSV hash script (for admins to run locally)
- */
-function generateCSVHashScript() {
-  return `
-// generate-csv-hash.js
-// Run this script after updating the Google Sheet
-// Usage: node generate-csv-hash.js
-
-const crypto = require('crypto');
-const https = require('https');
-
-const SHEET_URL = 'https://docs.google.com/spreadsheets/d/1iAF3p81G8DdByShDyfz4ShoweV80QWuoQ7wWSzZUORQ/export?format=csv&gid=0';
-
-https.get(SHEET_URL, (res) => {
-  let data = '';
-  
-  res.on('data', (chunk) => {
-    data += chunk;
-  });
-  
-  res.on('end', () => {
-    const hash = crypto.createHash('sha256').update(data).digest('hex');
-    
-    console.log('='.repeat(80));
-    console.log('CSV INTEGRITY HASH GENERATED');
-    console.log('='.repeat(80));
-    console.log('');
-    console.log('Hash:', hash);
-    console.log('');
-    console.log('UPDATE THIS IN bookmarklet.js:');
-    console.log('');
-    console.log(\`  expectedHash: 'sha256-\${hash}',\`);
-    console.log('');
-    console.log('='.repeat(80));
-    
-    // Save to file
-    const fs = require('fs');
-    fs.writeFileSync('csv-hash.txt', \`sha256-\${hash}\`);
-    console.log('✅ Hash saved to csv-hash.txt');
-  });
-}).on('error', (err) => {
-  console.error('Error fetching CSV:', err);
-});
-  `.trim();
-}
-
-// Log script to console for admin reference
-if (SECURITY_CONFIG.enableSecurityLogging) {
-  console.log('[INTEGRITY] To generate hash after Sheet update, use:');
-  console.log(generateCSVHashScript());
-}
-
 console.log('[INTEGRITY] Data integrity checking initialized:', {
   enabled: INTEGRITY_CONFIG.enabled,
-  hasExpectedHash: !!INTEGRITY_CONFIG.expectedHash,
+  approvedHashes: getApprovedHashes().length,
+  signedManifest: isManifestEnabled(),
   allowBypass: INTEGRITY_CONFIG.allowBypass
 });
@@ -0,0 +1,578 @@
+// data-sources.js
+// Add this to bookmarklet.js, after google-sheets-oauth.js and data-integrity.js
+
+// ============================================================================
+// DATA SOURCES CONFIGURATION
+// ============================================================================
+
+const DATA_SOURCES_CONFIG = {
+  // Tried in priority order: the first source that answers is used
+  sources: [
+    { type: 'sheets-api' },
+    {
+      type: 'csv',
+      url: 'https://docs.google.com/spreadsheets/d/1iAF3p81G8DdByShDyfz4ShoweV80QWuoQ7wWSzZUORQ/export?format=csv&gid=0'
+    },
+    // { type: 'json', url: 'https://joanfelipgithub.github.io/clickedu_docs_overlay/docs.json' },
+    // { type: 'local-file' } // Testing only: pick a CSV or JSON file from disk
+  ],
+
+  // Revalidate CSV/JSON with ETag / Last-Modified and skip parsing and
+  // hashing entirely when the data hasn't changed since the cached copy
+  conditionalRequests: true
+};
+
+// ============================================================================
+// ADAPTERS
+// ============================================================================
+
+/*
+Every adapter is an object with:
+
+  label           Name used in logs
+  loadingMessage  Text shown while fetching
+  fetch(source, context)  -> Promise<string | { raw, validators, notModified }>
+                  Raw payload. This exact string is what the integrity check hashes.
+                  validators ({ etag, lastModified }) are stored with the cached copy;
+                  notModified = true means the server says nothing changed.
+                  context = { overlay, loadingMsg, cached }
+  parse(raw, source)      -> { sections, roles, diagnostics }
+                  sections: [{ title, order, groups: { group: [docs] } }]
+                  roles:    { role: [members] } (see audience-filter.js)
+                  diagnostics: optional [{ row, reason }] for skipped rows
+  tables(raw, source)     -> [{ name, startRow, rows, roles }]
+                  The raw rows per tab, roles tab last (roles: true). Used by the
+                  sheet linter (sheet-linter.js) and hashed by the integrity check
+  onLoaded(overlay, source)  Optional, runs after the docs are rendered
+*/
+
+const DATA_SOURCE_ADAPTERS = {};
+
+// Last payload the pipeline fetched: { adapter, source, raw }
+let lastLoadedData = null;
+
+/**
+ * Register (or replace) an adapter for a source type
+ */
+function registerDataSourceAdapter(type, adapter) {
+  DATA_SOURCE_ADAPTERS[type] = adapter;
+}
+
+/**
+ * Fetch a URL, revalidating against the validators of the cached copy
+ * Retries with backoff (fetch-retry.js); name labels the retry log events
+ * Returns { raw, validators, notModified }
+ */
+async function fetchWithValidators(url, previous, name) {
+  // no-cache: the browser revalidates with the server (ETag / Last-Modified)
+  // and answers from its HTTP cache on 304
+  let response;
+  try {
+    response = await fetchWithRetry(url, {
+      cache: DATA_SOURCES_CONFIG.conditionalRequests ? 'no-cache' : 'reload'
+    }, name);
+  } catch (error) {
+    // fetch() rejects with a bare TypeError when offline: type it so the
+    // circuit breaker counts it (budget errors are already NetworkErrors)
+    throw error instanceof DocsLoadError
+      ? error
+      : new NetworkError(`Failed to load ${url}: ${error.message}`, { cause: error });
+  }
+
+  if (!response.ok) {
+    const retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+    // Public URLs: a 401 is not about the Google sign-in
+    throw errorFromHttpStatus(response.status, `Failed to load ${url}: ${response.status}`, {
+      publicSource: true,
+      retryAfterSeconds: retryAfterMs === null ? undefined : Math.ceil(retryAfterMs / 1000)
+    });
+  }
+
+  const validators = {
+    etag: response.headers.get('ETag'),
+    lastModified: response.headers.get('Last-Modified')
+  };
+
+  const notModified = DATA_SOURCES_CONFIG.conditionalRequests && !!previous && (
+    (!!validators.etag && validators.etag === previous.etag) ||
+    (!!validators.lastModified && validators.lastModified === previous.lastModified)
+  );
+
+  let raw;
+  try {
+    raw = await response.text();
+  } catch (error) {
+    // Connection dropped while reading the body
+    throw new NetworkError(`Failed to read ${url}: ${error.message}`, { cause: error });
+  }
+
+  return { raw, validators, notModified };
+}
+
+/**
+ * Validators of the cached copy, if it came from this source
+ */
+function cachedValidatorsFor(source, cached) {
+  return cached && cached.sourceType === source.type ? cached.validators : null;
+}
+
+/**
+ * Parse a CSV export as a single untitled section
+ */
+function sectionsFromCSV(csv, source) {
+  const { groups, diagnostics } = parseCSVDocs(csv);
+
+  if (!Object.keys(groups).length) {
+    throw new EmptySheetError();
+  }
+
+  return {
+    sections: [{ title: source.title || null, order: 0, groups: groups }],
+    roles: {},
+    diagnostics: diagnostics
+  };
+}
+
+/**
+ * Parse the static JSON format:
+ * { sections: [{ title, order, rows: [[header...], [row...]] }], roles: [[header], [role, members]] }
+ * or simply { rows: [...] } for a single section
+ */
+function sectionsFromJSON(raw) {
+  const data = JSON.parse(raw);
+  const rawSections = data.sections || [{ title: null, rows: data.rows }];
+
+  const sections = rawSections
+    .map((section, index) => ({
+      title: section.title || null,
+      order: section.order ?? index,
+      groups: parseSheetRows(section.rows || [])
+    }))
+    .filter(section => Object.keys(section.groups).length > 0)
+    .sort((a, b) => a.order - b.order);
+
+  if (sections.length === 0) {
+    throw new EmptySheetError();
+  }
+
+  return { sections, roles: parseRolesRows(data.roles) };
+}
+
+/**
+ * Raw rows of the static JSON format, one table per section, then the roles
+ */
+function tablesFromJSON(raw) {
+  const data = JSON.parse(raw);
+  const rawSections = data.sections || [{ title: null, rows: data.rows }];
+
+  const tables = rawSections.map((section, index) => ({
+    name: section.title || `Secció ${index + 1}`,
+    startRow: 1,
+    rows: section.rows || []
+  }));
+
+  if (data.roles) {
+    tables.push({ name: 'Rols', startRow: 1, rows: data.roles, roles: true });
+  }
+
+  return tables;
+}
+
+/**
+ * Raw rows of a CSV export as a single table
+ */
+function tablesFromCSV(raw, source) {
+  return [{ name: source.title || 'CSV', startRow: 1, rows: parseCSVRows(raw).rows }];
+}
+
+/**
+ * Let the user pick a local file from inside the overlay
+ */
+function pickLocalFile(overlay) {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.csv,.json,text/csv,application/json';
+    input.style.display = 'none';
+
+    const button = document.createElement('button');
+    button.textContent = '📁 Tria un fitxer local (CSV o JSON)';
+    Object.assign(button.style, {
+      padding: '10px 20px',
+      fontSize: '14px',
+      cursor: 'pointer',
+      borderRadius: '6px',
+      border: 'none',
+      background: '#007bff',
+      color: '#fff'
+    });
+
+    const cleanup = () => {
+      button.remove();
+      input.remove();
+      window.removeEventListener('focus', onFocusBack);
+    };
+
+    const cancel = () => {
+      cleanup();
+      reject(new DocsLoadError('No local file selected', { cancelled: true }));
+    };
+
+    // Browsers without the input 'cancel' event: the window gets the focus
+    // back when the picker closes, and change (if any) fires right after
+    const onFocusBack = () => {
+      setTimeout(() => {
+        if (input.isConnected && input.files.length === 0) cancel();
+      }, 500);
+    };
+
+    button.onclick = () => {
+      window.addEventListener('focus', onFocusBack, { once: true });
+      input.click();
+    };
+    input.addEventListener('cancel', cancel);
+    input.onchange = () => {
+      const file = input.files[0];
+      cleanup();
+
+      if (!file) {
+        reject(new DocsLoadError('No local file selected', { cancelled: true }));
+        return;
+      }
+
+      file.text().then(resolve, reject);
+    };
+
+    overlay.appendChild(input);
+    overlay.appendChild(button);
+  });
+}
+
+registerDataSourceAdapter('sheets-api', {
+  label: 'Google Sheets API',
+  loadingMessage: '🔐 Autenticant amb Google...',
+
+  async fetch() {
+    return JSON.stringify(await fetchSheetValueRanges());
+  },
+
+  parse(raw) {
+    return sectionsFromValueRanges(JSON.parse(raw));
+  },
+
+  tables(raw) {
+    return tablesFromValueRanges(JSON.parse(raw));
+  },
+
+  onLoaded(overlay) {
+    addSignOutButton(overlay);
+  }
+});
+
+registerDataSourceAdapter('csv', {
+  label: 'public CSV',
+  loadingMessage: '⚠️ Usant mètode alternatiu...',
+
+  async fetch(source, context) {
+    const result = await fetchWithValidators(source.url, cachedValidatorsFor(source, context.cached), source.type);
+
+    // Check if we actually got CSV data
+    if (!result.raw || result.raw.trim().length === 0) {
+      throw new EmptySheetError();
+    }
+
+    return result;
+  },
+
+  parse(raw, source) {
+    return sectionsFromCSV(raw, source);
+  },
+
+  tables(raw, source) {
+    return tablesFromCSV(raw, source);
+  },
+
+  onLoaded(overlay) {
+    // Show warning that public method is less secure
+    showWarning(overlay,
+      '⚠️ AVÍS: Utilitzant mètode públic menys segur. ' +
+      'Contacta amb l\'administrador per configurar l\'autenticació.'
+    );
+  }
+});
+
+registerDataSourceAdapter('json', {
+  label: 'static JSON',
+  loadingMessage: '📥 Carregant documents...',
+
+  async fetch(source, context) {
+    return fetchWithValidators(source.url, cachedValidatorsFor(source, context.cached), source.type);
+  },
+
+  parse(raw) {
+    return sectionsFromJSON(raw);
+  },
+
+  tables(raw) {
+    return tablesFromJSON(raw);
+  }
+});
+
+registerDataSourceAdapter('local-file', {
+  label: 'local file',
+  loadingMessage: '📁 Esperant un fitxer local...',
+
+  async fetch(source, context) {
+    return pickLocalFile(context.overlay);
+  },
+
+  parse(raw, source) {
+    return raw.trim().startsWith('{')
+      ? sectionsFromJSON(raw)
+      : sectionsFromCSV(raw, source);
+  },
+
+  tables(raw, source) {
+    return raw.trim().startsWith('{')
+      ? tablesFromJSON(raw)
+      : tablesFromCSV(raw, source);
+  },
+
+  onLoaded(overlay) {
+    showWarning(overlay, '🧪 Mode de prova: documents carregats d\'un fitxer local.');
+  }
+});
+
+// ============================================================================
+// PIPELINE: FETCH → INTEGRITY → PARSE → VALIDATE → RENDER
+// ============================================================================
+
+/**
+ * Audience-filter for whoever is signed in now, then validate
+ * Used for fresh and cached data alike, so a copy cached by another account
+ * never shows that account's restricted docs
+ */
+function validateForCurrentUser(sections, roles = {}, diagnostics = [], filterOptions = {}) {
+  const visibleSections = filterSectionsByAudience(sections, getSignedInEmail(), roles, filterOptions);
+  return { ...validateSections(visibleSections), diagnostics };
+}
+
+/**
+ * Try each configured source in order until one returns data
+ */
+async function fetchFromSources(context) {
+  const errors = [];
+
+  for (const source of DATA_SOURCES_CONFIG.sources) {
+    const adapter = DATA_SOURCE_ADAPTERS[source.type];
+
+    if (!adapter) {
+      console.warn(`Unknown data source type: ${source.type}`);
+      continue;
+    }
+
+    // Failed repeatedly: go straight to the next source (or the cached copy)
+    if (isCircuitOpen(source.type)) {
+      logSecurity('warn', `Skipping ${adapter.label}: circuit breaker open`);
+      errors.push(new NetworkError(`${adapter.label} skipped after repeated failures`));
+      continue;
+    }
+
+    try {
+      logSecurity('info', `Fetching documents from ${adapter.label}...`);
+      context.loadingMsg.textContent = adapter.loadingMessage;
+
+      const result = await adapter.fetch(source, context);
+      const { raw, validators = null, notModified = false } =
+        typeof result === 'string' ? { raw: result } : result;
+
+      recordCircuitSuccess(source.type);
+      return { source, adapter, raw, validators, notModified };
+    } catch (error) {
+      const loadError = toDocsLoadError(error);
+      loadError.source = adapter.label;
+      errors.push(loadError);
+
+      // The user chose not to sign in or pick a file: don't quietly load
+      // another source instead
+      if (loadError.cancelled) {
+        logSecurity('info', `${adapter.label} cancelled by the user, not trying other sources`);
+        break;
+      }
+
+      console.warn(`${adapter.label} failed, trying next source:`, error);
+      recordCircuitFailure(source.type, loadError);
+    }
+  }
+
+  if (errors.length === 0) throw new Error('No data sources configured');
+
+  // Report the last error (what the user acted on or the final fallback),
+  // with every source's error for the technical details
+  const lastError = errors[errors.length - 1];
+  lastError.sourceErrors = errors;
+  throw lastError;
+}
+
+/**
+ * Rerun the pipeline inside an overlay that is already open
+ */
+function retryDocsPipeline(overlay) {
+  const loadingMsg = document.createElement("div");
+  loadingMsg.textContent = "⏳ Carregant documents...";
+  Object.assign(loadingMsg.style, {
+    color: "#fff",
+    fontSize: "18px",
+    margin: "20px 0"
+  });
+  overlay.appendChild(loadingMsg);
+
+  return runDocsPipeline(overlay, loadingMsg);
+}
+
+/**
+ * Load, verify and render the documents
+ */
+async function runDocsPipeline(overlay, loadingMsg) {
+  const docsContainer = createDocsContainer(overlay);
+  resetFetchBudget();
+
+  // Stale-while-revalidate: show the last verified copy at once
+  const cached = await readCachedDocs();
+  let cacheIndicator = null;
+
+  if (cached) {
+    loadingMsg.remove();
+    // Blocked docs are logged once, when the fresh data is filtered below
+    renderValidatedSections(
+      validateForCurrentUser(cached.sections, cached.roles, [], { logBlocked: false }),
+      docsContainer
+    );
+    cacheIndicator = showCacheIndicator(overlay, cached.timestamp);
+    logSecurity('info', 'Showing cached documents while revalidating');
+  }
+
+  try {
+    const { source, adapter, raw, validators, notModified } =
+      await fetchFromSources({ overlay, loadingMsg, cached });
+    lastLoadedData = { source, adapter, raw };
+
+    // Unchanged since the cached copy: reuse its tables and hash instead of
+    // parsing and hashing again. The hash is still checked, since the approved
+    // hashes, manifest or pin may have changed since it was verified.
+    const unchanged = !!cached && !!cached.hash && cached.sourceType === source.type &&
+      (notModified || raw === cached.raw);
+
+    // Check integrity on the canonical rows, so cosmetic edits still verify
+    loadingMsg.textContent = "🔒 Verificant integritat de les dades...";
+    let tables, hashInput;
+    if (unchanged) {
+      tables = cached.tables || null;
+    } else {
+      tables = adapter.tables ? adapter.tables(raw, source) : null;
+      hashInput = INTEGRITY_CONFIG.canonicalize && tables ? canonicalizeTables(tables) : raw;
+    }
+    const integrityCheck = await verifyDataIntegrity(hashInput, unchanged ? cached.hash : null);
+    const bypassed = !integrityCheck.verified && !integrityCheck.skipped;
+
+    if (bypassed) {
+      // Integrity check failed: show what changed since the last verified data
+      const diff = await diffAgainstVerifiedSnapshot(tables);
+      const shouldContinue = await showIntegrityError({ ...integrityCheck, diff });
+
+      if (!shouldContinue) {
+        throw new IntegrityError('User cancelled due to integrity check failure');
+      }
+
+      // User chose to continue despite failure
+      logSecurity('warn', 'Continuing with unverified data', {
+        actualHash: integrityCheck.hash?.substring(0, 16)
+      });
+      
+      // Repeated bypasses escalate like any other violation (rate-limiter.js)
+      if (typeof lockoutManager !== 'undefined') {
+        lockoutManager.recordViolation('integrity_bypass');
+      }
+    }
+
+    // Store hash in history (also when unchecked, so it can be pinned)
+    if (integrityCheck.hash) {
+      storeHashInHistory(integrityCheck.hash, integrityStatus(integrityCheck));
+    }
+
+    // Keep the verified rows so a later mismatch can be diffed
+    if (integrityCheck.verified && !integrityCheck.skipped) {
+      await storeVerifiedSnapshot(tables, integrityCheck.hash);
+    }
+
+    // Parse (unless unchanged), filter by audience and validate
+    loadingMsg.textContent = "🔍 Processant documents...";
+    const { sections, roles = {}, diagnostics = [] } = unchanged
+      ? { sections: cached.sections, roles: cached.roles }
+      : adapter.parse(raw, source);
+    const validatedSections = validateForCurrentUser(sections, roles, diagnostics);
+
+    loadingMsg.remove();
+
+    if (!validatedSections.valid.length) {
+      if (cached) {
+        cacheIndicator.setStatus("⚠️ Les dades noves no contenen documents vàlids");
+        return;
+      }
+      showError("⚠️ No s'han trobat documents vàlids al Google Sheet", overlay);
+      return;
+    }
+
+    // Only verified data replaces (or becomes) the cached copy
+    const hash = integrityCheck.hash || (unchanged ? cached.hash : await generateHash(hashInput));
+
+    // Unfiltered sections + roles: filtered again for whoever opens it next
+    // Unverifiable (manifest unreachable) data is shown but not cached either
+    const cacheable = !bypassed && !integrityCheck.unverifiable;
+    if (cacheable && unchanged) {
+      await touchCachedDocs(cached, validators || cached.validators);
+    } else if (cacheable) {
+      await writeCachedDocs({
+        sections: sections,
+        roles: roles,
+        tables: tables,
+        hash: hash,
+        raw: raw,
+        sourceType: source.type,
+        validators: validators
+      });
+    }
+
+    // Always re-render: the cached copy was filtered before sign-in
+    cacheIndicator?.remove();
+    renderValidatedSections(validatedSections, docsContainer);
+
+    // Show integrity status badge
+    if (integrityCheck.verified && !integrityCheck.skipped) {
+      showIntegrityBadge(overlay, 'verified', integrityCheck.approval);
+    } else if (bypassed) {
+      showIntegrityBadge(overlay, 'bypassed');
+    } else if (integrityCheck.unverifiable) {
+      showIntegrityBadge(overlay, 'unverifiable');
+    }
+
+    adapter.onLoaded?.(overlay, source);
+
+    if (unchanged) {
+      logSecurity('info', `Documents unchanged on ${adapter.label}, reused the cached copy`);
+    }
+    logSecurity('info', `Loaded ${countDocs(mergeSectionGroups(validatedSections.valid))} valid documents from ${adapter.label}`);
+
+  } catch (error) {
+    loadingMsg.remove();
+
+    // Offline or every source failed: the cached copy stays on screen
+    if (cached) {
+      cacheIndicator.setStatus("📴 No s'ha pogut actualitzar");
+      logSecurity('warn', `Using cached documents, refresh failed: ${error.message}`);
+      return;
+    }
+
+    showLoadError(error, overlay);
+  }
+}
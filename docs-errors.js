@@ -0,0 +1,263 @@
+// docs-errors.js
+// Add this to bookmarklet.js, before google-sheets-oauth.js
+
+// ============================================================================
+// TYPED LOAD ERRORS
+// ============================================================================
+
+/**
+ * Base class for errors of the loading pipeline
+ * message stays technical (English, for logs); title/details are shown to the user
+ */
+class DocsLoadError extends Error {
+  constructor(message, options = {}) {
+    super(message, { cause: options.cause });
+    this.name = this.constructor.name;
+    this.kind = 'unknown';
+
+    // The user backed out (sign-in, file picker): no other source is tried
+    this.cancelled = !!options.cancelled;
+  }
+
+  get title() {
+    return 'No s\'han pogut carregar els documents';
+  }
+
+  get details() {
+    return 'Torna-ho a intentar. Si el problema continua, contacta amb l\'administrador.';
+  }
+
+  get recoveryLabel() {
+    return '🔄 Tornar a intentar';
+  }
+
+  /**
+   * Seconds to wait before the retry button is enabled
+   */
+  get retryDelaySeconds() {
+    return 0;
+  }
+
+  /**
+   * Runs before the pipeline is retried
+   */
+  async prepareRetry() {}
+}
+
+/**
+ * Sign-in failed or was cancelled
+ */
+class AuthError extends DocsLoadError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.kind = 'auth';
+  }
+
+  get title() {
+    return this.cancelled ? 'Autenticació cancel·lada' : 'No s\'ha pogut autenticar amb Google';
+  }
+
+  get details() {
+    return this.cancelled
+      ? 'Has de permetre l\'accés amb Google per utilitzar aquesta funcionalitat.'
+      : 'Assegura\'t que tens permisos per accedir al Google Sheet.';
+  }
+
+  get recoveryLabel() {
+    return '🔐 Iniciar sessió de nou';
+  }
+
+  async prepareRetry() {
+    // Force a fresh account prompt
+    clearAccessToken();
+  }
+}
+
+/**
+ * Signed in, but this account can't read the sheet
+ * publicSource: a public URL (CSV/JSON) refused the request, no account involved
+ */
+class PermissionError extends DocsLoadError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.kind = 'permission';
+    this.publicSource = !!options.publicSource;
+  }
+
+  get title() {
+    return this.publicSource ? 'El Google Sheet no està publicat' : 'No tens accés al Google Sheet';
+  }
+
+  get details() {
+    return this.publicSource
+      ? 'L\'enllaç públic del full ja no és accessible. Contacta amb l\'administrador.'
+      : 'El compte amb què has iniciat sessió no té permís. Prova amb el compte de l\'escola.';
+  }
+
+  get recoveryLabel() {
+    return this.publicSource ? super.recoveryLabel : '👤 Canviar de compte';
+  }
+
+  async prepareRetry() {
+    // The Google session has nothing to do with a public URL
+    if (!this.publicSource) {
+      await signOutFromGoogle();
+    }
+  }
+}
+
+/**
+ * Google or the network didn't answer
+ */
+class NetworkError extends DocsLoadError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.kind = 'network';
+  }
+
+  get title() {
+    return 'Error de connexió';
+  }
+
+  get details() {
+    return 'No s\'ha pogut contactar amb Google. Comprova la connexió a Internet.';
+  }
+
+  get recoveryLabel() {
+    return '📶 Tornar a connectar';
+  }
+
+  async prepareRetry() {
+    // An explicit retry tries every source again, even the ones the
+    // circuit breaker is skipping
+    resetCircuitBreakers();
+    await waitForOnline();
+  }
+}
+
+/**
+ * The sheet (or every configured tab) has no rows
+ */
+class EmptySheetError extends DocsLoadError {
+  constructor(message = 'No data found in sheet', options = {}) {
+    super(message, options);
+    this.kind = 'empty-sheet';
+  }
+
+  get title() {
+    return 'El Google Sheet està buit';
+  }
+
+  get details() {
+    return 'Contacta amb l\'administrador i torna-ho a comprovar quan hagi afegit els documents.';
+  }
+
+  get recoveryLabel() {
+    return '🔄 Comprovar de nou';
+  }
+
+  // Give the administrator time to fill the sheet instead of re-reading it at once
+  get retryDelaySeconds() {
+    return 10;
+  }
+}
+
+/**
+ * Data failed the integrity check and the user didn't continue
+ */
+class IntegrityError extends DocsLoadError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.kind = 'integrity';
+  }
+
+  get title() {
+    return 'Les dades no s\'han pogut verificar';
+  }
+
+  get details() {
+    return 'El contingut del Google Sheet no coincideix amb la versió verificada. Contacta amb l\'administrador abans de continuar.';
+  }
+
+  get recoveryLabel() {
+    return '🔁 Tornar a verificar';
+  }
+
+  // Re-checks against the current manifest/approved hashes, e.g. once an
+  // administrator has approved the new version
+  get retryDelaySeconds() {
+    return 10;
+  }
+}
+
+/**
+ * Too many requests (Google 429)
+ */
+class RateLimitError extends DocsLoadError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.kind = 'rate-limit';
+    this.retryAfterSeconds = options.retryAfterSeconds || 30;
+  }
+
+  get title() {
+    return 'Massa peticions';
+  }
+
+  get details() {
+    return `Google ha limitat les peticions. Espera ${this.retryAfterSeconds} segons i torna-ho a intentar.`;
+  }
+
+  get retryDelaySeconds() {
+    return this.retryAfterSeconds;
+  }
+}
+
+/**
+ * Map an HTTP status to a typed error
+ * options.publicSource: the URL needs no sign-in, so 401 is a permission problem
+ */
+function errorFromHttpStatus(status, message, options = {}) {
+  if (status === 401 && !options.publicSource) return new AuthError(message, options);
+  if (status === 401 || status === 403) return new PermissionError(message, options);
+  if (status === 429) return new RateLimitError(message, options);
+  return new NetworkError(message, options);
+}
+
+/**
+ * Resolve once the browser is online (or after timeoutMs)
+ */
+function waitForOnline(timeoutMs = 30000) {
+  if (navigator.onLine !== false) return Promise.resolve();
+
+  return new Promise(resolve => {
+    const done = () => {
+      clearTimeout(timer);
+      window.removeEventListener('online', done);
+      resolve();
+    };
+    const timer = setTimeout(done, timeoutMs);
+    window.addEventListener('online', done);
+  });
+}
+
+/**
+ * Wrap any error as a DocsLoadError
+ * Network failures are typed where fetch() is called; anything else unknown
+ * (e.g. a TypeError from a bug) stays a generic error
+ */
+function toDocsLoadError(error) {
+  if (error instanceof DocsLoadError) return error;
+
+  // gapi client errors carry the HTTP status
+  if (error?.status) {
+    const message = error.result?.error?.message || `HTTP ${error.status}`;
+    const retryAfter = Number(error.headers?.['retry-after']);
+    return errorFromHttpStatus(error.status, message, {
+      cause: error,
+      retryAfterSeconds: retryAfter > 0 ? retryAfter : undefined
+    });
+  }
+
+  return new DocsLoadError(error?.message || String(error), { cause: error });
+}
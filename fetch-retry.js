@@ -0,0 +1,240 @@
+// fetch-retry.js
+// Add this to bookmarklet.js, after docs-errors.js and before google-sheets-oauth.js
+
+// ============================================================================
+// RETRY / BACKOFF CONFIGURATION
+// ============================================================================
+
+const FETCH_RETRY_CONFIG = {
+  // Retries after the first attempt
+  maxRetries: 3,
+
+  // Capped exponential backoff with full jitter: random(0, min(max, base * 2^n))
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+
+  // A longer Retry-After gives up instead (fallback source or cached copy)
+  maxRetryAfterMs: 30000,
+
+  // Worth retrying; anything else (401, 403, 404...) fails straight away
+  retryStatuses: [429, 500, 502, 503, 504],
+
+  // Requests to Google per overlay open, retries included
+  requestBudget: 8,
+
+  // After failureThreshold failed loads in a row, skip the source for cooldownMs
+  circuitBreaker: {
+    failureThreshold: 3,
+    cooldownMs: 300000, // 5 minutes
+    storagePrefix: 'fetch_circuit_'
+  }
+};
+
+// Requests left for the current open (reset by runDocsPipeline)
+let fetchBudgetRemaining = FETCH_RETRY_CONFIG.requestBudget;
+
+function resetFetchBudget() {
+  fetchBudgetRemaining = FETCH_RETRY_CONFIG.requestBudget;
+}
+
+/**
+ * Take one request from the budget, or fail without calling Google
+ */
+function consumeFetchBudget(name) {
+  if (fetchBudgetRemaining <= 0) {
+    logSecurity('warn', `Request budget exhausted for ${name}`, {
+      budget: FETCH_RETRY_CONFIG.requestBudget
+    });
+    throw new NetworkError(`Request budget exhausted (${FETCH_RETRY_CONFIG.requestBudget} per open)`);
+  }
+
+  fetchBudgetRemaining--;
+}
+
+/**
+ * Backoff before retry number attempt (0-based), with full jitter
+ */
+function computeBackoffDelay(attempt) {
+  const cap = Math.min(FETCH_RETRY_CONFIG.maxDelayMs, FETCH_RETRY_CONFIG.baseDelayMs * Math.pow(2, attempt));
+  return Math.round(Math.random() * cap);
+}
+
+/**
+ * Retry-After header (seconds or HTTP date) in ms, or null
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run operation with retries
+ * operation() resolves with a result or rejects; describe(resultOrError)
+ * returns { retryable, status, retryAfterMs } for either outcome.
+ * Resolves with the last result, or rejects with the last error.
+ */
+async function withRetry(name, operation, describe) {
+  for (let attempt = 0; ; attempt++) {
+    consumeFetchBudget(name);
+
+    let result;
+    let error = null;
+    try {
+      result = await operation();
+    } catch (caught) {
+      error = caught;
+    }
+
+    const outcome = describe(error || result, !!error);
+    if (!outcome.retryable) {
+      if (error) throw error;
+      return result;
+    }
+
+    const delayMs = outcome.retryAfterMs ?? computeBackoffDelay(attempt);
+    const reason = outcome.status ? `HTTP ${outcome.status}` : (error?.message || 'network error');
+    const giveUp = attempt >= FETCH_RETRY_CONFIG.maxRetries ||
+      fetchBudgetRemaining <= 0 ||
+      delayMs > FETCH_RETRY_CONFIG.maxRetryAfterMs;
+
+    if (giveUp) {
+      logSecurity('warn', `Giving up on ${name} request`, {
+        source: name,
+        attempts: attempt + 1,
+        status: outcome.status || null,
+        reason: reason,
+        retryAfterMs: outcome.retryAfterMs ?? null,
+        budgetRemaining: fetchBudgetRemaining
+      });
+      if (error) throw error;
+      return result;
+    }
+
+    logSecurity('warn', `Retrying ${name} request`, {
+      source: name,
+      attempt: attempt + 1,
+      maxRetries: FETCH_RETRY_CONFIG.maxRetries,
+      status: outcome.status || null,
+      reason: reason,
+      delayMs: delayMs,
+      retryAfterMs: outcome.retryAfterMs ?? null,
+      budgetRemaining: fetchBudgetRemaining
+    });
+
+    await sleep(delayMs);
+  }
+}
+
+/**
+ * fetch() with retries on network errors and retryable statuses
+ * Resolves with the final Response (maybe !ok); callers map it to a typed error
+ */
+function fetchWithRetry(url, options, name) {
+  return withRetry(name, () => fetch(url, options), (outcome, failed) => {
+    // fetch() only rejects on network errors
+    if (failed) return { retryable: outcome instanceof TypeError };
+
+    const retryable = FETCH_RETRY_CONFIG.retryStatuses.includes(outcome.status);
+    const honorRetryAfter = outcome.status === 429 || outcome.status === 503;
+    return {
+      retryable: retryable,
+      status: outcome.status,
+      retryAfterMs: honorRetryAfter ? parseRetryAfter(outcome.headers.get('Retry-After')) : null
+    };
+  });
+}
+
+/**
+ * Describe a gapi client error for withRetry
+ */
+function describeGapiError(error, failed) {
+  if (!failed) return { retryable: false };
+
+  const status = error?.status;
+  if (!status) return { retryable: error?.kind === 'network' };
+
+  const honorRetryAfter = status === 429 || status === 503;
+  return {
+    retryable: FETCH_RETRY_CONFIG.retryStatuses.includes(status),
+    status: status,
+    retryAfterMs: honorRetryAfter ? parseRetryAfter(error.headers?.['retry-after']) : null
+  };
+}
+
+// ============================================================================
+// CIRCUIT BREAKER
+// ============================================================================
+
+/**
+ * Stored breaker state for a source type: { failures, openUntil }
+ */
+function getCircuitState(name) {
+  try {
+    const stored = localStorage.getItem(FETCH_RETRY_CONFIG.circuitBreaker.storagePrefix + name);
+    return stored ? JSON.parse(stored) : { failures: 0, openUntil: 0 };
+  } catch {
+    return { failures: 0, openUntil: 0 };
+  }
+}
+
+function saveCircuitState(name, state) {
+  try {
+    localStorage.setItem(FETCH_RETRY_CONFIG.circuitBreaker.storagePrefix + name, JSON.stringify(state));
+  } catch (error) {
+    console.warn('Failed to save circuit breaker state:', error);
+  }
+}
+
+/**
+ * Is the source skipped right now?
+ */
+function isCircuitOpen(name) {
+  return getCircuitState(name).openUntil > Date.now();
+}
+
+/**
+ * Close every source's breaker (the user asked to retry)
+ */
+function resetCircuitBreakers() {
+  for (const source of DATA_SOURCES_CONFIG.sources) {
+    recordCircuitSuccess(source.type);
+  }
+}
+
+function recordCircuitSuccess(name) {
+  const state = getCircuitState(name);
+  if (state.failures || state.openUntil) {
+    saveCircuitState(name, { failures: 0, openUntil: 0 });
+  }
+}
+
+/**
+ * Count a failed load; opens the breaker at the threshold
+ * Only outages count (network, 5xx, 429), not sign-in or permission problems
+ */
+function recordCircuitFailure(name, error) {
+  if (!['network', 'rate-limit'].includes(error?.kind)) return;
+
+  const { failureThreshold, cooldownMs } = FETCH_RETRY_CONFIG.circuitBreaker;
+  const state = getCircuitState(name);
+  state.failures++;
+
+  if (state.failures >= failureThreshold) {
+    state.openUntil = Date.now() + cooldownMs;
+    logSecurity('error', `Circuit breaker opened for ${name}`, {
+      failures: state.failures,
+      cooldownMs: cooldownMs
+    });
+  }
+
+  saveCircuitState(name, state);
+}
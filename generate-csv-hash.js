@@ -0,0 +1,284 @@
+// generate-csv-hash.js
+// Hash the sheet data after updating the Google Sheet (works offline)
+//
+// Usage:
+//   node generate-csv-hash.js <file.csv>... [options]
+//   cat export.csv | node generate-csv-hash.js [options]
+//
+// With several sections (GOOGLE_API_CONFIG.sections), pass one CSV per section
+// in getConfiguredSections() order (sorted by `order`). The bookmarklet hashes
+// the tables in that order, so any other order gives a different hash.
+//
+// Options:
+//   --roles <file.csv> The roles tab (AUDIENCE_CONFIG.rolesRange), hashed last
+//   --raw              Hash the file bytes instead of the canonical rows
+//                      (single file only; only if INTEGRITY_CONFIG.canonicalize is false)
+//   --write-config     Write expectedHash into the bookmarklet config
+//   --write-config --approve
+//                      Add the hash to approvedHashes instead of expectedHash
+//   --manifest         Sign the hash into data-manifest.json (sign-data-manifest.js)
+//   --approved-by <email>   Who approved it (approved entry / manifest)
+//   --expires <YYYY-MM-DD>  Approval expiry (approved entry / manifest)
+//   --grace <YYYY-MM-DD>    Keep the previous hash approved until then: the old
+//                      expectedHash moves to approvedHashes (--write-config), or the
+//                      previous manifest hash stays in the manifest (--manifest)
+//   --config <file>    Config file to read/write (default: bookmarklet.js,
+//                      or data-integrity.js when bookmarklet.js isn't there)
+//   --check            Compare with the configured hashes (expectedHash and
+//                      approvedHashes), exit 1 on mismatch
+//   --check --manifest Compare with data-manifest.json instead
+//   --out <file>       Manifest to sign / check (default: data-manifest.json here)
+//   --history <file>   Hash history to append to (default: csv-hash-history.json here)
+//
+// data-manifest.json and csv-hash-history.json are gitignored, so a run never
+// ends up in a commit by accident. Publish a new manifest with git add -f.
+//
+// Download the CSV from: File → Download → Comma-separated values (.csv)
+
+const fs = require('fs');
+const path = require('path');
+const { hashCSVData, isApprovalDate, writeSignedManifest, MANIFEST_FILE } = require('./sign-data-manifest.js');
+
+const HISTORY_FILE = path.join(__dirname, 'csv-hash-history.json');
+const MAX_HISTORY_ENTRIES = 50;
+const EXPECTED_HASH_PATTERN = /expectedHash:\s*(null|'[^']*')/;
+const APPROVED_HASHES_PATTERN = /approvedHashes:\s*\[([\s\S]*?)\]/;
+
+const args = process.argv.slice(2);
+const FLAGS_WITH_VALUE = ['--config', '--roles', '--approved-by', '--expires', '--grace', '--out', '--history'];
+const flagValue = (name) => args.includes(name) ? args[args.indexOf(name) + 1] : null;
+const options = {
+  raw: args.includes('--raw'),
+  writeConfig: args.includes('--write-config'),
+  manifest: args.includes('--manifest'),
+  check: args.includes('--check'),
+  config: flagValue('--config'),
+  roles: flagValue('--roles'),
+  approve: args.includes('--approve'),
+  approvedBy: flagValue('--approved-by'),
+  expiresAt: flagValue('--expires'),
+  graceUntil: flagValue('--grace'),
+  manifestFile: flagValue('--out') || MANIFEST_FILE,
+  historyFile: flagValue('--history') || HISTORY_FILE
+};
+const inputFiles = args.filter((arg, index) => !arg.startsWith('--') && !FLAGS_WITH_VALUE.includes(args[index - 1]));
+
+function printBanner(title) {
+  console.log('='.repeat(80));
+  console.log(title);
+  console.log('='.repeat(80));
+}
+
+function fail(message, exitCode = 2) {
+  console.error(`❌ ${message}`);
+  process.exit(exitCode);
+}
+
+/**
+ * Read the CSVs in hash order (sections, then roles); '-' or no file = stdin
+ * Returns [{ source, data }]
+ */
+function readInputs() {
+  const files = inputFiles.length ? inputFiles : ['-'];
+  if (options.roles) files.push(options.roles);
+
+  if (files.includes('-') && process.stdin.isTTY) {
+    fail('No CSV given. Usage: node generate-csv-hash.js <file.csv>... [options]');
+  }
+
+  return files.map(file => ({
+    source: file === '-' ? 'stdin' : file,
+    data: fs.readFileSync(file === '-' ? 0 : file, 'utf8')
+  }));
+}
+
+/**
+ * File holding INTEGRITY_CONFIG
+ */
+function resolveConfigFile() {
+  if (options.config) return path.resolve(options.config);
+
+  const bookmarklet = path.join(__dirname, 'bookmarklet.js');
+  return fs.existsSync(bookmarklet) ? bookmarklet : path.join(__dirname, 'data-integrity.js');
+}
+
+/**
+ * Hashes currently accepted (expectedHash + approvedHashes, or the signed manifest)
+ * Expiry is left to the bookmarklet
+ */
+function readConfiguredHashes() {
+  if (options.manifest) {
+    if (!fs.existsSync(options.manifestFile)) fail(`${options.manifestFile} not found`);
+    const payload = JSON.parse(JSON.parse(fs.readFileSync(options.manifestFile, 'utf8')).payload);
+    return [payload.hash, ...(payload.approvedHashes || []).map(entry => entry.hash)];
+  }
+
+  const configFile = resolveConfigFile();
+  const source = fs.readFileSync(configFile, 'utf8');
+  const hashes = [];
+
+  const expected = source.match(EXPECTED_HASH_PATTERN);
+  if (expected && expected[1] !== 'null') hashes.push(expected[1].slice(1, -1));
+
+  const approved = source.match(APPROVED_HASHES_PATTERN);
+  if (approved) {
+    hashes.push(...[...approved[1].matchAll(/hash:\s*'(sha256-[0-9a-f]+)'/g)].map(match => match[1]));
+  }
+
+  if (hashes.length === 0) fail(`No expectedHash or approvedHashes set in ${configFile}`);
+  return hashes;
+}
+
+/**
+ * Append an entry to the approvedHashes array literal
+ * (left as is if that hash is already listed)
+ */
+function addApprovedEntry(source, entry) {
+  const listed = source.match(APPROVED_HASHES_PATTERN)[1];
+  if (listed.includes(`'${entry.hash}'`)) return source;
+
+  const fields = Object.entries(entry)
+    .filter(([, value]) => value)
+    .map(([key, value]) => `${key}: '${value}'`)
+    .join(', ');
+
+  return source.replace(APPROVED_HASHES_PATTERN, (match, inner) => {
+    const existing = inner.trim().replace(/,$/, '');
+    const items = existing ? `${existing},\n    { ${fields} }` : `{ ${fields} }`;
+    return `approvedHashes: [\n    ${items}\n  ]`;
+  });
+}
+
+/**
+ * Write the hash into the config file: expectedHash, or an approvedHashes
+ * entry with --approve. --grace keeps the old expectedHash approved until then.
+ * Returns { configFile, written: [descriptions] }
+ */
+function writeConfiguredHash(hash) {
+  const configFile = resolveConfigFile();
+  let source = fs.readFileSync(configFile, 'utf8');
+  const written = [];
+  const today = new Date().toISOString().slice(0, 10);
+
+  const expected = source.match(EXPECTED_HASH_PATTERN);
+  if (!expected) fail(`No expectedHash found in ${configFile}`);
+  if ((options.approve || options.graceUntil) && !APPROVED_HASHES_PATTERN.test(source)) {
+    fail(`No approvedHashes found in ${configFile}`);
+  }
+
+  const previousHash = expected[1] === 'null' ? null : expected[1].slice(1, -1);
+
+  if (options.approve) {
+    source = addApprovedEntry(source, {
+      hash: hash,
+      approvedBy: options.approvedBy,
+      approvedAt: today,
+      expiresAt: options.expiresAt
+    });
+    written.push('approvedHashes entry');
+  } else {
+    if (options.graceUntil && previousHash && previousHash !== hash) {
+      source = addApprovedEntry(source, {
+        hash: previousHash,
+        approvedBy: options.approvedBy,
+        approvedAt: today,
+        expiresAt: options.graceUntil
+      });
+      written.push(`previous hash approved until ${options.graceUntil}`);
+    }
+
+    source = source.replace(EXPECTED_HASH_PATTERN, `expectedHash: '${hash}'`);
+    written.push('expectedHash');
+  }
+
+  fs.writeFileSync(configFile, source);
+  return { configFile, written };
+}
+
+/**
+ * Append to the hash history (last MAX_HISTORY_ENTRIES kept)
+ */
+function appendHistory(entry) {
+  let history = [];
+  if (fs.existsSync(options.historyFile)) {
+    history = JSON.parse(fs.readFileSync(options.historyFile, 'utf8'));
+  }
+
+  history.push(entry);
+  fs.writeFileSync(options.historyFile, JSON.stringify(history.slice(-MAX_HISTORY_ENTRIES), null, 2));
+}
+
+// Written into JS source / the signed manifest: keep them plain
+for (const flag of ['--expires', '--grace']) {
+  if (flagValue(flag) && !isApprovalDate(flagValue(flag))) fail(`${flag} expects a date as YYYY-MM-DD`);
+}
+if (options.approvedBy && !/^[^'"\\\s]+$/.test(options.approvedBy)) {
+  fail('--approved-by expects an email');
+}
+
+const inputs = readInputs();
+const empty = inputs.find(input => !input.data.trim());
+if (empty) fail(`The CSV is empty: ${empty.source}`);
+
+let hash;
+try {
+  // Same canonical form (and table order) the bookmarklet hashes
+  hash = hashCSVData(inputs.map(input => input.data), options.raw);
+} catch (error) {
+  fail(error.message);
+}
+
+const mode = options.raw ? 'raw' : 'canonical';
+const source = inputs.map(input => input.source).join(', ');
+const bytes = inputs.reduce((total, input) => total + input.data.length, 0);
+
+if (options.check) {
+  const expected = readConfiguredHashes();
+
+  if (!expected.includes(hash)) {
+    console.error('❌ CSV does NOT match the configured hash');
+    console.error('   Expected:', expected.join(', '));
+    console.error('   Actual:  ', hash, `(${mode})`);
+    process.exit(1);
+  }
+
+  console.log('✅ CSV matches the configured hash:', hash);
+  process.exit(0);
+}
+
+printBanner('CSV INTEGRITY HASH GENERATED');
+console.log('\n📄 Source:', source);
+console.log('📊 Size:', bytes, 'bytes', inputs.length > 1 ? `(${inputs.length} tables)` : '');
+console.log(`🔐 Hash (${mode}):`, hash);
+console.log('');
+
+if (options.writeConfig) {
+  const { configFile, written } = writeConfiguredHash(hash);
+  console.log(`✅ Updated in ${configFile}:`, written.join(', '));
+}
+
+if (options.manifest) {
+  const { version, algorithm, approvedHashes } = writeSignedManifest(hash, {
+    approvedBy: options.approvedBy,
+    expiresAt: options.expiresAt,
+    graceUntil: options.graceUntil
+  }, options.manifestFile);
+  console.log(`✅ Manifest v${version} (${algorithm}) saved to`, options.manifestFile);
+  if (approvedHashes.length) console.log(`   Also approved: ${approvedHashes.length} earlier hash(es)`);
+}
+
+if (!options.writeConfig && !options.manifest) {
+  console.log('UPDATE THIS IN bookmarklet.js (or rerun with --write-config):\n');
+  console.log(`  expectedHash: '${hash}',`);
+  console.log('');
+}
+
+appendHistory({
+  hash: hash,
+  mode: mode,
+  source: source,
+  bytes: bytes,
+  timestamp: new Date().toISOString()
+});
+console.log('📚 History saved to', options.historyFile);
+console.log('='.repeat(80));
@@ -14,55 +14,257 @@ const GOOGLE_API_CONFIG = {
   spreadsheetId: '1iAF3p81G8DdByShDyfz4ShoweV80QWuoQ7wWSzZUORQ',
   sheetName: 'Sheet1', // Or your sheet tab name
   
-  // Scopes required
-  scopes: 'https://www.googleapis.com/auth/spreadsheets.readonly',
+  // Several tabs or named ranges, each shown as its own top-level section.
+  // Leave empty to read only sheetName. All ranges are fetched in one request.
+  sections: [
+    // { range: 'Secretaria', title: '🏫 Secretaria', order: 1 },
+    // { range: 'Tutoria', title: '👩‍🏫 Tutoria', order: 2 },
+    // { range: 'Departaments', title: '📚 Departaments', order: 3 },
+    // { range: 'EnllacosDireccio', title: 'Direcció', order: 4 } // Named range
+  ],
+  
+  // Scopes required (read-only access to the sheet + the user's email)
+  scopes: 'https://www.googleapis.com/auth/spreadsheets.readonly https://www.googleapis.com/auth/userinfo.email',
   
   // Discovery docs
-  discoveryDocs: ['https://sheets.googleapis.com/$discovery/rest?version=v4']
+  discoveryDocs: ['https://sheets.googleapis.com/$discovery/rest?version=v4'],
+  
+  // Script URLs: gapi for the Sheets client, GIS for the OAuth token flow
+  gapiScriptUrl: 'https://apis.google.com/js/api.js',
+  gisScriptUrl: 'https://accounts.google.com/gsi/client',
+  
+  // Treat the token as expired this long before Google does
+  tokenExpiryMarginMs: 60000
+};
+
+// OAuth state lives in memory only - never persisted to localStorage
+const googleAuthState = {
+  tokenClient: null,
+  accessToken: null,
+  expiresAt: 0,
+  email: null,
+  pendingRequest: null
 };
 
+let googleAPILoadPromise = null;
+
 /**
- * Load Google API client library
+ * Load an external script once
  */
-function loadGoogleAPI() {
+function loadExternalScript(src) {
   return new Promise((resolve, reject) => {
-    // Check if already loaded
-    if (window.gapi) {
-      resolve(window.gapi);
+    if (document.querySelector(`script[src="${src}"]`)) {
+      resolve();
       return;
     }
     
     const script = document.createElement('script');
-    script.src = 'https://apis.google.com/js/api.js';
-    script.onload = () => {
-      window.gapi.load('client:auth2', () => {
-        initializeGoogleAPI()
-          .then(() => resolve(window.gapi))
-          .catch(reject);
-      });
-    };
-    script.onerror = () => reject(new Error('Failed to load Google API'));
+    script.src = src;
+    script.async = true;
+    script.onload = () => resolve();
+    script.onerror = () => reject(new Error(`Failed to load ${src}`));
     document.head.appendChild(script);
   });
 }
 
 /**
- * Initialize Google API client
+ * Load Google API client library and Google Identity Services
+ */
+function loadGoogleAPI() {
+  if (googleAPILoadPromise) return googleAPILoadPromise;
+  
+  googleAPILoadPromise = Promise.all([
+    loadExternalScript(GOOGLE_API_CONFIG.gapiScriptUrl)
+      .then(() => new Promise((resolve, reject) => {
+        window.gapi.load('client', { callback: resolve, onerror: reject });
+      }))
+      .then(initializeGoogleAPI),
+    loadExternalScript(GOOGLE_API_CONFIG.gisScriptUrl)
+      .then(initializeTokenClient)
+  ])
+    .then(() => window.gapi)
+    .catch(error => {
+      // Allow a later call to retry from scratch
+      googleAPILoadPromise = null;
+      throw new NetworkError('Failed to load Google API: ' + error.message, { cause: error });
+    });
+  
+  return googleAPILoadPromise;
+}
+
+/**
+ * Initialize Google API client (Sheets discovery only, no auth)
  */
 async function initializeGoogleAPI() {
   return window.gapi.client.init({
     apiKey: GOOGLE_API_CONFIG.apiKey,
-    clientId: GOOGLE_API_CONFIG.clientId,
-    discoveryDocs: GOOGLE_API_CONFIG.discoveryDocs,
-    scope: GOOGLE_API_CONFIG.scopes
+    discoveryDocs: GOOGLE_API_CONFIG.discoveryDocs
   });
 }
 
+/**
+ * Initialize the GIS token client
+ */
+function initializeTokenClient() {
+  googleAuthState.tokenClient = window.google.accounts.oauth2.initTokenClient({
+    client_id: GOOGLE_API_CONFIG.clientId,
+    scope: GOOGLE_API_CONFIG.scopes,
+    callback: handleTokenResponse,
+    error_callback: handleTokenError
+  });
+}
+
+/**
+ * GIS callback: a token (or an OAuth error) came back
+ */
+function handleTokenResponse(response) {
+  const pending = googleAuthState.pendingRequest;
+  googleAuthState.pendingRequest = null;
+  if (!pending) return;
+  
+  if (response.error) {
+    pending.reject(new Error(response.error_description || response.error));
+    return;
+  }
+  
+  googleAuthState.accessToken = response.access_token;
+  googleAuthState.expiresAt = Date.now() + Number(response.expires_in) * 1000;
+  window.gapi.client.setToken({ access_token: response.access_token });
+  
+  pending.resolve(response.access_token);
+}
+
+/**
+ * GIS error callback: popup closed, blocked or failed to open
+ */
+function handleTokenError(error) {
+  const pending = googleAuthState.pendingRequest;
+  googleAuthState.pendingRequest = null;
+  if (!pending) return;
+  
+  pending.reject(new Error(error?.type || error?.message || 'unknown_error'));
+}
+
+/**
+ * Ask GIS for an ID token (JWT, aud = clientId) for the logging service
+ * auto_select + login_hint: no prompt for an account that already consented
+ */
+function requestIdToken(email) {
+  return new Promise((resolve, reject) => {
+    if (!window.google?.accounts?.id) {
+      reject(new Error('Google Identity Services not loaded'));
+      return;
+    }
+    
+    window.google.accounts.id.initialize({
+      client_id: GOOGLE_API_CONFIG.clientId,
+      auto_select: true,
+      login_hint: email || undefined,
+      callback: response => resolve(response.credential)
+    });
+    
+    window.google.accounts.id.prompt(notification => {
+      if (notification.isNotDisplayed() || notification.isSkippedMoment()) {
+        reject(new Error(notification.getNotDisplayedReason?.() || notification.getSkippedReason?.() || 'id_token_unavailable'));
+      }
+    });
+  });
+}
+
+/**
+ * Prove the signed-in user to the logging service (security-logger.js)
+ * Without it events stay queued; loading the documents never waits for it
+ */
+async function shareLoggingIdentity() {
+  try {
+    setLoggingIdentity(await requestIdToken(googleAuthState.email));
+  } catch (error) {
+    console.warn('No ID token for the logging service:', error);
+  }
+}
+
+/**
+ * Did the user close the popup or deny access (rather than GIS failing)?
+ */
+function isSignInCancelled(error) {
+  return ['popup_closed', 'access_denied'].includes(error?.message);
+}
+
+/**
+ * Ask GIS for an access token
+ * GIS answers through one callback, so concurrent callers (a retry during the
+ * first load, several sources) share the request already in flight
+ */
+function requestAccessToken(prompt) {
+  if (googleAuthState.pendingRequest) {
+    return googleAuthState.pendingRequest.promise;
+  }
+  
+  if (!googleAuthState.tokenClient) {
+    return Promise.reject(new Error('Token client not initialized'));
+  }
+  
+  const pending = {};
+  pending.promise = new Promise((resolve, reject) => {
+    pending.resolve = resolve;
+    pending.reject = reject;
+  });
+  
+  googleAuthState.pendingRequest = pending;
+  googleAuthState.tokenClient.requestAccessToken({ prompt: prompt });
+  
+  return pending.promise;
+}
+
+/**
+ * Forget the current token without revoking it
+ */
+function clearAccessToken() {
+  googleAuthState.accessToken = null;
+  googleAuthState.expiresAt = 0;
+  window.gapi?.client?.setToken(null);
+}
+
+/**
+ * Check if the in-memory access token has expired
+ */
+function isTokenExpired() {
+  return Date.now() >= googleAuthState.expiresAt - GOOGLE_API_CONFIG.tokenExpiryMarginMs;
+}
+
 /**
  * Check if user is signed in
  */
 function isSignedIn() {
-  return window.gapi?.auth2?.getAuthInstance()?.isSignedIn?.get() || false;
+  return !!googleAuthState.accessToken && !isTokenExpired();
+}
+
+/**
+ * Get the signed-in user's email (null if unknown)
+ */
+function getSignedInEmail() {
+  return googleAuthState.email;
+}
+
+/**
+ * Fetch the signed-in user's email from the userinfo endpoint
+ */
+async function fetchUserEmail() {
+  let response;
+  try {
+    response = await fetch('https://www.googleapis.com/oauth2/v3/userinfo', {
+      headers: { Authorization: `Bearer ${googleAuthState.accessToken}` }
+    });
+  } catch (error) {
+    throw new NetworkError('Failed to reach userinfo: ' + error.message, { cause: error });
+  }
+  
+  if (!response.ok) {
+    throw new Error(`userinfo returned ${response.status}`);
+  }
+  
+  const profile = await response.json();
+  return profile.email || null;
 }
 
 /**
@@ -70,96 +272,273 @@ function isSignedIn() {
  */
 async function signInToGoogle() {
   try {
-    const authInstance = window.gapi.auth2.getAuthInstance();
-    await authInstance.signIn({
-      prompt: 'select_account' // Force account selection
-    });
-    
-    const user = authInstance.currentUser.get();
-    const profile = user.getBasicProfile();
-    
-    logSecurity('info', 'User authenticated', {
-      email: profile.getEmail(),
-      name: profile.getName()
-    });
-    
-    return true;
+    await requestAccessToken('select_account'); // Force account selection
   } catch (error) {
     console.error('Sign-in error:', error);
-    throw new Error('Authentication failed: ' + error.error);
+    throw new AuthError('Authentication failed: ' + error.message, {
+      cause: error,
+      cancelled: isSignInCancelled(error)
+    });
+  }
+  
+  try {
+    googleAuthState.email = await fetchUserEmail();
+  } catch (error) {
+    console.warn('Could not read user email:', error);
+  }
+  
+  logSecurity('info', 'User authenticated', {
+    email: googleAuthState.email
+  });
+  
+  shareLoggingIdentity();
+  
+  return true;
+}
+
+/**
+ * Re-prompt for a token when the current one has expired
+ */
+async function refreshAccessToken() {
+  logSecurity('info', 'Access token expired, requesting a new one');
+  
+  try {
+    // Empty prompt: GIS only shows UI if the user must pick/consent again
+    await requestAccessToken('');
+  } catch (error) {
+    clearAccessToken();
+    throw new AuthError('Authentication failed: ' + error.message, {
+      cause: error,
+      cancelled: isSignInCancelled(error)
+    });
   }
+  
+  // The ID token expires with the access token
+  shareLoggingIdentity();
 }
 
 /**
- * Fetch data from Google Sheets using API
+ * Make sure we hold a valid token, prompting the user if needed
  */
-async function fetchFromGoogleSheetsAPI() {
+async function ensureAccessToken() {
+  if (isSignedIn()) return;
+  
+  // Had a token before: it simply expired, re-prompt on our own
+  if (googleAuthState.accessToken) {
+    await refreshAccessToken();
+    return;
+  }
+  
+  const continueWithoutAuth = confirm(
+    '🔐 Aquest bookmarklet requereix autenticació amb Google.\n\n' +
+    'Això garanteix que només usuaris autoritzats poden accedir als documents.\n\n' +
+    'Vols continuar i iniciar sessió amb Google?'
+  );
+  
+  if (!continueWithoutAuth) {
+    throw new AuthError('User cancelled authentication', { cancelled: true });
+  }
+  
+  await signInToGoogle();
+}
+
+/**
+ * Get the configured sections (tabs or named ranges), sorted by order
+ */
+function getConfiguredSections() {
+  const sections = GOOGLE_API_CONFIG.sections || [];
+  
+  if (sections.length === 0) {
+    // Single-tab mode: one untitled section
+    return [{
+      range: GOOGLE_API_CONFIG.sheetName, // Whole tab: columns are found by header
+      title: null,
+      order: 0
+    }];
+  }
+  
+  return sections
+    .map((section, index) => ({
+      range: section.range,
+      title: section.title || section.range.split('!')[0].replace(/^'|'$/g, ''),
+      order: section.order ?? index
+    }))
+    .sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Ranges requested from the API: every section, then the roles tab
+ */
+function getRequestedRanges(includeRoles = true) {
+  const ranges = getConfiguredSections().map(section => section.range);
+  
+  // Roles tab rides along in the same request
+  if (includeRoles && AUDIENCE_CONFIG.enabled && AUDIENCE_CONFIG.rolesRange) {
+    ranges.push(AUDIENCE_CONFIG.rolesRange);
+  }
+  
+  return ranges;
+}
+
+/**
+ * Sheets rejected the whole batchGet because the roles tab doesn't exist?
+ */
+function isMissingRolesRangeError(error) {
+  const message = error?.result?.error?.message || '';
+  return error?.status === 400 &&
+    AUDIENCE_CONFIG.enabled && !!AUDIENCE_CONFIG.rolesRange &&
+    message.includes('Unable to parse range') &&
+    message.includes(AUDIENCE_CONFIG.rolesRange);
+}
+
+/**
+ * Fetch every configured range from Google Sheets in one batchGet
+ * Returns the raw valueRanges, in the same order as getRequestedRanges()
+ */
+async function fetchSheetValueRanges() {
   try {
     // Load Google API if not already loaded
     await loadGoogleAPI();
     
     // Check if signed in, if not, prompt sign-in
-    if (!isSignedIn()) {
-      const continueWithoutAuth = confirm(
-        '🔐 Aquest bookmarklet requereix autenticació amb Google.\n\n' +
-        'Això garanteix que només usuaris autoritzats poden accedir als documents.\n\n' +
-        'Vols continuar i iniciar sessió amb Google?'
-      );
-      
-      if (!continueWithoutAuth) {
-        throw new Error('User cancelled authentication');
-      }
-      
-      await signInToGoogle();
-    }
+    await ensureAccessToken();
     
-    // Fetch sheet data
-    const response = await window.gapi.client.sheets.spreadsheets.values.get({
+    let includeRoles = true;
+    const request = () => Promise.resolve(window.gapi.client.sheets.spreadsheets.values.batchGet({
       spreadsheetId: GOOGLE_API_CONFIG.spreadsheetId,
-      range: `${GOOGLE_API_CONFIG.sheetName}!A:C`, // Columns A, B, C
+      ranges: getRequestedRanges(includeRoles)
+    })).catch(error => {
+      // HTTP errors carry a status; anything else never reached Google
+      if (error?.status) throw error;
+      throw new NetworkError('Sheets API request failed: ' + (error?.message || error?.result?.error?.message || 'no response'), { cause: error });
     });
     
-    const rows = response.result.values;
-    
-    if (!rows || rows.length === 0) {
-      throw new Error('No data found in sheet');
-    }
-    
-    // Convert to our expected format
-    const groups = {};
-    
-    // Skip header row
-    for (let i = 1; i < rows.length; i++) {
-      const [group, label, url] = rows[i];
-      
-      if (!group || !label || !url) continue;
-      
-      if (!groups[group]) {
-        groups[group] = [];
+    // Fetch sheet data (429/5xx are retried with backoff, see fetch-retry.js)
+    let response;
+    try {
+      response = await withRetry('sheets-api', request, describeGapiError);
+    } catch (error) {
+      if (isMissingRolesRangeError(error)) {
+        // Roles tab missing: load the sections without audience roles
+        logSecurity('warn', `Roles range "${AUDIENCE_CONFIG.rolesRange}" not found, loading without roles`);
+        includeRoles = false;
+      } else if (error?.status === 401) {
+        // Token revoked or expired server-side: re-prompt once and retry
+        await refreshAccessToken();
+      } else {
+        throw error;
       }
-      
-      groups[group].push({
-        label: sanitizeCSVValue(label),
-        url: sanitizeCSVValue(url)
-      });
+      response = await withRetry('sheets-api', request, describeGapiError);
     }
     
-    logSecurity('info', `Loaded ${Object.keys(groups).length} groups from Google Sheets API`);
-    
-    return groups;
+    return response.result.valueRanges || [];
     
   } catch (error) {
     console.error('Google Sheets API error:', error);
-    throw error;
+    throw toDocsLoadError(error);
   }
 }
 
 /**
- * Sign out from Google
+ * Turn batchGet valueRanges into { sections, roles }
+ */
+function sectionsFromValueRanges(valueRanges) {
+  const sections = getConfiguredSections();
+  
+  const result = sections
+    .map((section, index) => ({
+      title: section.title,
+      order: section.order,
+      groups: parseSheetRows(valueRanges[index]?.values || [])
+    }))
+    .filter(section => Object.keys(section.groups).length > 0);
+  
+  if (result.length === 0) {
+    throw new EmptySheetError();
+  }
+  
+  const hasRoles = AUDIENCE_CONFIG.enabled && AUDIENCE_CONFIG.rolesRange;
+  const roles = hasRoles ? parseRolesRows(valueRanges[sections.length]?.values) : {};
+  
+  logSecurity('info', `Loaded ${result.length} sections from Google Sheets API`);
+  
+  return { sections: result, roles: roles };
+}
+
+/**
+ * Turn batchGet valueRanges into raw tables (sheet linter, integrity hash)
+ * The roles tab comes last, so role changes are covered by the hash too
+ */
+function tablesFromValueRanges(valueRanges) {
+  const sections = getConfiguredSections();
+  
+  const tables = sections.map((section, index) => {
+    // "Tab!B5:F40" starts at row 5; whole tabs and named ranges at row 1
+    const returnedRange = valueRanges[index]?.range || section.range;
+    const startMatch = returnedRange.match(/![A-Z]*(\d+)/);
+    
+    return {
+      name: section.title || section.range,
+      startRow: startMatch ? parseInt(startMatch[1], 10) : 1,
+      rows: valueRanges[index]?.values || []
+    };
+  });
+  
+  if (AUDIENCE_CONFIG.enabled && AUDIENCE_CONFIG.rolesRange) {
+    tables.push({
+      name: AUDIENCE_CONFIG.rolesRange,
+      startRow: 1,
+      rows: valueRanges[sections.length]?.values || [],
+      roles: true
+    });
+  }
+  
+  return tables;
+}
+
+/**
+ * Fetch every configured section (plus the roles tab) from Google Sheets
+ * Returns { sections, roles }
+ */
+async function fetchSectionsFromGoogleSheetsAPI() {
+  return sectionsFromValueRanges(await fetchSheetValueRanges());
+}
+
+/**
+ * Fetch data from Google Sheets using API (all sections merged into one set of groups)
+ */
+async function fetchFromGoogleSheetsAPI() {
+  const { sections, roles } = await fetchSectionsFromGoogleSheetsAPI();
+  
+  // Convert to our expected format
+  const groups = mergeSectionGroups(filterSectionsByAudience(sections, getSignedInEmail(), roles));
+  
+  logSecurity('info', `Loaded ${Object.keys(groups).length} groups from Google Sheets API`);
+  
+  return groups;
+}
+
+/**
+ * Sign out from Google (revokes the token)
  */
 async function signOutFromGoogle() {
-  const authInstance = window.gapi.auth2.getAuthInstance();
-  await authInstance.signOut();
+  const token = googleAuthState.accessToken;
+  
+  if (token && window.google?.accounts?.oauth2) {
+    await new Promise(resolve => window.google.accounts.oauth2.revoke(token, resolve));
+  }
+  
+  clearAccessToken();
+  googleAuthState.email = null;
+  
+  // Later events must not be logged as this account
+  setLoggingIdentity(null);
+  window.google?.accounts?.id?.disableAutoSelect();
+  
+  // The cached copy and the verified snapshot (unfiltered rows) belong to this account
+  await clearCachedDocs();
+  await clearVerifiedSnapshot();
+  
   logSecurity('info', 'User signed out');
 }
 
@@ -167,97 +546,206 @@ async function signOutFromGoogle() {
 // REPLACE THE loadDocs FUNCTION WITH THIS VERSION
 // ============================================================================
 
+/**
+ * Load documents from the configured data sources (see data-sources.js)
+ */
 async function loadDocs(overlay, loadingMsg) {
-  try {
-    logSecurity('info', 'Fetching documents from Google Sheets API (authenticated)...');
-    
-    // Show authentication prompt
-    loadingMsg.textContent = "🔐 Autenticant amb Google...";
-    
-    // Fetch using authenticated API
-    const docs = await fetchFromGoogleSheetsAPI();
-    
-    // Update loading message
-    loadingMsg.textContent = "🔒 Validant documents...";
-    
-    // Validate and filter
-    const validatedDocs = validateAndFilterDocs(docs);
-    
-    loadingMsg.remove();
-    
-    if (!Object.keys(validatedDocs.valid).length) { 
-      showError("⚠️ No s'han trobat documents vàlids al Google Sheet", overlay); 
-      return; 
-    }
-    
-    // Show security summary if items were blocked
-    if (validatedDocs.blocked.length > 0) {
-      showSecurityWarning(overlay, validatedDocs.blocked);
+  return runDocsPipeline(overlay, loadingMsg);
+}
+
+/**
+ * Show a load error inside the overlay, with a retry that stays in the overlay
+ */
+function showLoadError(error, overlay) {
+  const loadError = toDocsLoadError(error);
+  
+  const errorBox = document.createElement("div");
+  errorBox.setAttribute("data-load-error", "");
+  Object.assign(errorBox.style, {
+    background: "rgba(255,107,107,0.2)",
+    border: "2px solid #ff6b6b",
+    borderRadius: "12px",
+    padding: "20px",
+    maxWidth: "600px",
+    color: "#fff"
+  });
+  
+  errorBox.innerHTML = `
+    <div style="font-size: 20px; font-weight: bold; margin-bottom: 15px;">
+      ❌ <span data-field="title"></span>
+    </div>
+    <div style="margin-bottom: 15px;" data-field="details"></div>
+    <div style="font-size: 14px; line-height: 1.6;">
+      <strong>Detall tècnic:</strong><br>
+      <span data-field="message"></span>
+    </div>
+    <button style="
+      margin-top: 15px;
+      padding: 10px 20px;
+      background: #007bff;
+      color: white;
+      border: none;
+      border-radius: 6px;
+      cursor: pointer;
+      font-size: 14px;
+    "></button>
+  `;
+  
+  errorBox.querySelector('[data-field="title"]').textContent = loadError.title;
+  errorBox.querySelector('[data-field="details"]').textContent = loadError.details;
+  
+  // Every source that was tried, e.g. "Google Sheets API: ... / public CSV: ..."
+  const messageField = errorBox.querySelector('[data-field="message"]');
+  messageField.style.whiteSpace = 'pre-line';
+  messageField.textContent = loadError.sourceErrors?.length > 1
+    ? loadError.sourceErrors.map(sourceError => `${sourceError.source}: ${sourceError.message}`).join('\n')
+    : loadError.message;
+  
+  const retryBtn = errorBox.querySelector("button");
+  retryBtn.textContent = loadError.recoveryLabel;
+  retryBtn.onclick = async () => {
+    retryBtn.disabled = true;
+    
+    try {
+      await loadError.prepareRetry();
+    } catch (prepareError) {
+      console.warn('Recovery action failed:', prepareError);
     }
     
-    // Add sign-out button
-    addSignOutButton(overlay);
-    
-    buildUI(validatedDocs.valid, overlay);
-    
-    logSecurity('info', `Loaded ${countDocs(validatedDocs.valid)} valid documents`);
-    
-  } catch (error) {
-    loadingMsg.remove();
-    
-    // Handle specific error cases
-    let errorMessage = error.message;
-    let errorDetails = '';
+    errorBox.remove();
+    logSecurity('info', `Retrying document load after ${loadError.kind} error`);
+    retryDocsPipeline(overlay);
+  };
+  
+  // e.g. rate limited: keep the button disabled until the wait is over
+  let wait = loadError.retryDelaySeconds;
+  if (wait > 0) {
+    const label = loadError.recoveryLabel;
+    retryBtn.disabled = true;
+    retryBtn.textContent = `${label} (${wait}s)`;
+    
+    const timer = setInterval(() => {
+      wait--;
+      if (wait <= 0 || !retryBtn.isConnected) {
+        clearInterval(timer);
+        retryBtn.disabled = false;
+        retryBtn.textContent = label;
+        return;
+      }
+      retryBtn.textContent = `${label} (${wait}s)`;
+    }, 1000);
+  }
+  
+  overlay.appendChild(errorBox);
+  console.error("Full error details:", error);
+  logSecurity('error', `Failed to load documents: ${loadError.message}`, {
+    errorType: loadError.kind
+  });
+}
+
+/**
+ * Container for the rendered docs so fresh data can replace cached data in place
+ */
+function createDocsContainer(overlay) {
+  // Reuse it when the pipeline is retried in the same overlay
+  const existing = overlay.querySelector("[data-docs-container]");
+  if (existing) return existing;
+  
+  const container = document.createElement("div");
+  container.setAttribute("data-docs-container", "");
+  // Transparent to the overlay layout
+  container.style.display = "contents";
+  overlay.appendChild(container);
+  return container;
+}
+
+/**
+ * (Re)render validated sections and their security summary into a container
+ */
+function renderValidatedSections(validatedSections, container) {
+  container.replaceChildren();
+  
+  // Show security summary if items were blocked
+  if (validatedSections.blocked.length > 0) {
+    showSecurityWarning(container, validatedSections.blocked);
+  }
+  
+  // Rows the parser had to skip, for whoever edits the sheet
+  if (validatedSections.diagnostics?.length > 0) {
+    showParseDiagnostics(container, validatedSections.diagnostics);
+  }
+  
+  buildSectionsUI(validatedSections.valid, container);
+}
+
+/**
+ * Run validateAndFilterDocs on every section, keeping sections with valid docs
+ */
+function validateSections(sections) {
+  const valid = [];
+  const blocked = [];
+  
+  for (const section of sections) {
+    const validated = validateAndFilterDocs(section.groups);
+    blocked.push(...validated.blocked);
     
-    if (error.message.includes('Authentication failed')) {
-      errorMessage = 'No s\'ha pogut autenticar amb Google';
-      errorDetails = 'Assegura\'t que tens permisos per accedir al Google Sheet.';
-    } else if (error.message.includes('User cancelled')) {
-      errorMessage = 'Autenticació cancel·lada';
-      errorDetails = 'Has de permetre l\'accés amb Google per utilitzar aquesta funcionalitat.';
-    } else if (error.message.includes('No data found')) {
-      errorMessage = 'El Google Sheet està buit';
-      errorDetails = 'Contacta amb l\'administrador.';
+    if (Object.keys(validated.valid).length) {
+      valid.push({ ...section, groups: validated.valid });
     }
+  }
+  
+  return { valid, blocked };
+}
+
+/**
+ * Merge the groups of several sections into one { group: [docs] } object
+ */
+function mergeSectionGroups(sections) {
+  const groups = {};
+  
+  for (const section of sections) {
+    for (const [group, docs] of Object.entries(section.groups)) {
+      groups[group] = (groups[group] || []).concat(docs);
+    }
+  }
+  
+  return groups;
+}
+
+/**
+ * Render sections: one titled block per section, each built with buildUI
+ */
+function buildSectionsUI(sections, overlay) {
+  // Single untitled section: same layout as before
+  if (sections.length === 1 && !sections[0].title) {
+    buildUI(sections[0].groups, overlay);
+    decorateDocButtons(sections[0].groups, overlay);
+    return;
+  }
+  
+  for (const section of sections) {
+    const sectionEl = document.createElement("section");
+    Object.assign(sectionEl.style, {
+      maxWidth: "1200px",
+      width: "100%",
+      marginBottom: "30px"
+    });
     
-    const errorBox = document.createElement("div");
-    Object.assign(errorBox.style, {
-      background: "rgba(255,107,107,0.2)",
-      border: "2px solid #ff6b6b",
-      borderRadius: "12px",
-      padding: "20px",
-      maxWidth: "600px",
-      color: "#fff"
+    const title = document.createElement("h2");
+    title.textContent = section.title;
+    Object.assign(title.style, {
+      color: "#fff",
+      fontSize: "22px",
+      margin: "0 0 15px 0",
+      paddingBottom: "8px",
+      borderBottom: "2px solid rgba(255,255,255,0.3)"
     });
     
-    errorBox.innerHTML = `
-      <div style="font-size: 20px; font-weight: bold; margin-bottom: 15px;">
-        ❌ ${errorMessage}
-      </div>
-      <div style="margin-bottom: 15px;">
-        ${errorDetails}
-      </div>
-      <div style="font-size: 14px; line-height: 1.6;">
-        <strong>Detall tècnic:</strong><br>
-        ${error.message}
-      </div>
-      <button onclick="location.reload()" style="
-        margin-top: 15px;
-        padding: 10px 20px;
-        background: #007bff;
-        color: white;
-        border: none;
-        border-radius: 6px;
-        cursor: pointer;
-        font-size: 14px;
-      ">
-        🔄 Tornar a intentar
-      </button>
-    `;
+    sectionEl.appendChild(title);
+    overlay.appendChild(sectionEl);
     
-    overlay.appendChild(errorBox);
-    console.error("Full error details:", error);
-    logSecurity('error', `Failed to load documents: ${error.message}`);
+    buildUI(section.groups, sectionEl);
+    decorateDocButtons(section.groups, sectionEl);
   }
 }
 
@@ -265,7 +753,10 @@ async function loadDocs(overlay, loadingMsg) {
  * Add sign-out button to overlay
  */
 function addSignOutButton(overlay) {
+  if (overlay.querySelector('[data-sign-out]')) return;
+  
   const signOutBtn = document.createElement("button");
+  signOutBtn.setAttribute("data-sign-out", "");
   signOutBtn.innerHTML = "🚪 Tancar sessió de Google";
   Object.assign(signOutBtn.style, {
     position: "fixed",
@@ -301,44 +792,18 @@ function addSignOutButton(overlay) {
 // FALLBACK: Use public CSV if API fails
 // ============================================================================
 
+// The public CSV is now just another entry in DATA_SOURCES_CONFIG.sources,
+// tried after the Sheets API by the same pipeline.
 async function loadDocsWithFallback(overlay, loadingMsg) {
-  try {
-    // Try Google API first
-    await loadDocs(overlay, loadingMsg);
-  } catch (error) {
-    console.warn('Google API failed, falling back to public CSV:', error);
-    
-    // Fall back to original CSV method
-    loadingMsg.textContent = "⚠️ Usant mètode alternatiu...";
-    
-    const SHEET_URL = "https://docs.google.com/spreadsheets/d/1iAF3p81G8DdByShDyfz4ShoweV80QWuoQ7wWSzZUORQ/export?format=csv&gid=0";
-    const csv = await loadCSVviaXHR(SHEET_URL);
-    const docs = parseCSV(csv);
-    const validatedDocs = validateAndFilterDocs(docs);
-    
-    loadingMsg.remove();
-    
-    if (!Object.keys(validatedDocs.valid).length) { 
-      showError("⚠️ No s'han trobat documents vàlids", overlay); 
-      return; 
-    }
-    
-    if (validatedDocs.blocked.length > 0) {
-      showSecurityWarning(overlay, validatedDocs.blocked);
-    }
-    
-    buildUI(validatedDocs.valid, overlay);
-    
-    // Show warning that public method is less secure
-    showWarning(overlay, 
-      '⚠️ AVÍS: Utilitzant mètode públic menys segur. ' +
-      'Contacta amb l\'administrador per configurar l\'autenticació.'
-    );
-  }
+  return loadDocs(overlay, loadingMsg);
 }
 
 function showWarning(overlay, message) {
+  // One warning per overlay: a retry replaces it instead of stacking another
+  overlay.querySelector('[data-source-warning]')?.remove();
+  
   const warning = document.createElement("div");
+  warning.setAttribute("data-source-warning", "");
   Object.assign(warning.style, {
     background: "rgba(255, 193, 7, 0.2)",
     border: "2px solid #ffc107",
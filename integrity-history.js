@@ -0,0 +1,232 @@
+// integrity-history.js
+// Add this to bookmarklet.js, after data-integrity.js
+
+// ============================================================================
+// INTEGRITY HISTORY CONFIGURATION
+// ============================================================================
+
+const INTEGRITY_HISTORY_CONFIG = {
+  // Ctrl+Shift+<key> opens the hash history panel. Keep clear of browser
+  // shortcuts (Ctrl+Shift+H is Firefox's history library)
+  shortcutKey: 'f',
+
+  // File name of the exported history
+  exportFileName: 'historial-integritat.json'
+};
+
+const HISTORY_STATUS_LABELS = {
+  verified: '✅ Verificat',
+  bypassed: '⚠️ Bypassed',
+  unchecked: '➖ Sense verificar'
+};
+
+/**
+ * Human readable duration in Catalan (e.g. "3 dies", "5 h")
+ */
+function formatLiveDuration(ms) {
+  const minutes = Math.floor(ms / 60000);
+
+  if (minutes < 1) return 'menys d\'un minut';
+  if (minutes < 60) return `${minutes} min`;
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} h`;
+
+  const days = Math.floor(hours / 24);
+  return days === 1 ? '1 dia' : `${days} dies`;
+}
+
+/**
+ * History entries, newest first, with how long each version was live
+ * A version is live until the next one was first seen (or now, for the latest)
+ */
+function getHashHistoryTimeline() {
+  const history = getHashHistory();
+
+  return history
+    .map((entry, index) => {
+      const next = history[index + 1];
+      const liveUntil = next ? next.timestamp : Date.now();
+      return {
+        ...entry,
+        current: !next,
+        liveMs: liveUntil - entry.timestamp
+      };
+    })
+    .reverse();
+}
+
+/**
+ * Download the history (and current pin) as JSON
+ */
+function exportHashHistoryJSON(timeline) {
+  const report = {
+    exportedAt: new Date().toISOString(),
+    pinned: getPinnedHash(),
+    history: timeline
+  };
+
+  const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = INTEGRITY_HISTORY_CONFIG.exportFileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// ============================================================================
+// UI: HASH HISTORY PANEL
+// ============================================================================
+
+/**
+ * Show the hash history panel
+ */
+function showHashHistoryPanel() {
+  const overlay = document.createElement('div');
+  Object.assign(overlay.style, {
+    position: 'fixed',
+    top: 0,
+    left: 0,
+    width: '100%',
+    height: '100%',
+    background: 'rgba(0,0,0,0.85)',
+    zIndex: 99999,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: '20px'
+  });
+
+  const dialog = document.createElement('div');
+  Object.assign(dialog.style, {
+    background: '#fff',
+    color: '#333',
+    borderRadius: '12px',
+    padding: '25px',
+    maxWidth: '900px',
+    width: '100%',
+    maxHeight: '85vh',
+    overflowY: 'auto',
+    boxShadow: '0 10px 40px rgba(0,0,0,0.3)'
+  });
+
+  dialog.innerHTML = `
+    <h2 style="margin: 0 0 10px 0;">📜 Historial d'integritat</h2>
+    <p id="history-pin" style="margin: 0 0 15px 0; color: #666;"></p>
+    <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+      <thead>
+        <tr style="background: #f8f9fa; text-align: left;">
+          <th style="padding: 6px;">Primera vegada</th>
+          <th style="padding: 6px;">Hash</th>
+          <th style="padding: 6px;">Estat</th>
+          <th style="padding: 6px;">Temps en ús</th>
+          <th style="padding: 6px;"></th>
+        </tr>
+      </thead>
+      <tbody></tbody>
+    </table>
+    <div style="display: flex; gap: 10px; justify-content: flex-end; margin-top: 20px;">
+      <button id="history-export" style="padding: 10px 20px; border: none; border-radius: 6px; cursor: pointer; background: #007bff; color: #fff;">
+        📥 Exportar JSON
+      </button>
+      <button id="history-close" style="padding: 10px 20px; border: none; border-radius: 6px; cursor: pointer; background: #6c757d; color: #fff;">
+        Tancar
+      </button>
+    </div>
+  `;
+
+  const tbody = dialog.querySelector('tbody');
+  const pinInfo = dialog.querySelector('#history-pin');
+  const timeline = getHashHistoryTimeline();
+
+  const render = () => {
+    const pinned = getPinnedHash();
+
+    pinInfo.textContent = pinned
+      ? `📌 Hash fixat en aquest navegador des del ${new Date(pinned.pinnedAt).toLocaleString('ca-ES')}: qualsevol altra versió mostrarà l'alerta.`
+      : 'Cap hash fixat. Fixa una versió coneguda perquè qualsevol canvi mostri l\'alerta d\'integritat.';
+
+    tbody.replaceChildren();
+
+    if (timeline.length === 0) {
+      const tr = document.createElement('tr');
+      const td = document.createElement('td');
+      td.colSpan = 5;
+      td.style.padding = '6px';
+      td.textContent = 'Encara no hi ha cap hash registrat.';
+      tr.appendChild(td);
+      tbody.appendChild(tr);
+      return;
+    }
+
+    timeline.forEach(entry => {
+      const tr = document.createElement('tr');
+      tr.style.borderTop = '1px solid #dee2e6';
+      if (pinned && pinned.hash === entry.hash) tr.style.background = '#e7f1ff';
+
+      const duration = formatLiveDuration(entry.liveMs) + (entry.current ? ' (actual)' : '');
+      [
+        new Date(entry.timestamp).toLocaleString('ca-ES'),
+        entry.hash.substring(0, 16) + '…',
+        HISTORY_STATUS_LABELS[entry.status] || '—',
+        duration
+      ].forEach((text, index) => {
+        const td = document.createElement('td');
+        td.style.padding = '6px';
+        td.textContent = text;
+        if (index === 1) {
+          td.title = entry.hash;
+          td.style.fontFamily = 'monospace';
+        }
+        tr.appendChild(td);
+      });
+
+      const actionCell = document.createElement('td');
+      actionCell.style.padding = '6px';
+      const pinBtn = document.createElement('button');
+      const isPinned = pinned && pinned.hash === entry.hash;
+      pinBtn.textContent = isPinned ? 'Desfixar' : '📌 Fixar';
+      Object.assign(pinBtn.style, {
+        padding: '4px 10px',
+        border: '1px solid #ccc',
+        borderRadius: '4px',
+        cursor: 'pointer',
+        background: '#fff'
+      });
+      pinBtn.onclick = () => {
+        if (isPinned) {
+          unpinHash();
+        } else if (confirm('Fixar aquest hash? Qualsevol altra versió de les dades mostrarà l\'alerta d\'integritat en aquest navegador.')) {
+          pinHash(entry.hash);
+        }
+        render();
+      };
+      actionCell.appendChild(pinBtn);
+      tr.appendChild(actionCell);
+
+      tbody.appendChild(tr);
+    });
+  };
+
+  render();
+
+  const exportBtn = dialog.querySelector('#history-export');
+  exportBtn.disabled = timeline.length === 0;
+  exportBtn.onclick = () => exportHashHistoryJSON(timeline);
+  dialog.querySelector('#history-close').onclick = () => overlay.remove();
+
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+}
+
+// Admin shortcut, next to Ctrl+Shift+L
+document.addEventListener('keydown', async (e) => {
+  if (e.ctrlKey && e.shiftKey && e.key.toLowerCase() === INTEGRITY_HISTORY_CONFIG.shortcutKey) {
+    if (!lastLoadedData) return; // Bookmarklet not used on this page: leave the key alone
+
+    e.preventDefault();
+    if (await requireAdmin('integrity_history')) {
+      showHashHistoryPanel();
+    }
+  }
+});
@@ -3,19 +3,48 @@
 // Alternative: Use AWS Lambda, Vercel Edge Functions, or Netlify Functions
 
 addEventListener('fetch', event => {
-  event.respondWith(handleRequest(event.request))
+  // Service-worker syntax: bindings are globals instead of env
+  const env = { LOGS: typeof LOGS !== 'undefined' ? LOGS : undefined }
+  event.respondWith(handleRequest(event.request, env))
 })
 
 // Configuration
 const CONFIG = {
-  // Change this to a secure random string
-  API_KEY: 'your-secret-api-key-change-this',
+  // Signs the session tokens. Change this to a long random string
+  // (never shipped to the browser, unlike the old shared API key)
+  TOKEN_SECRET: 'your-token-secret-change-this',
+
+  // Session tokens expire after 15 minutes; the bookmarklet renews them
+  TOKEN_TTL_MS: 15 * 60 * 1000,
+
+  // Max session tokens issued per Google account per minute
+  SESSION_RATE_LIMIT: 10,
+
+  // Max /session requests per IP per minute. A whole school shares one NAT
+  // address, so this only stops floods; the real limit is per account
+  SESSION_IP_RATE_LIMIT: 600,
+
+  // OAuth client of the bookmarklet (GOOGLE_API_CONFIG.clientId). The Google
+  // ID token sent to /session must be issued for this client (aud claim).
+  GOOGLE_CLIENT_ID: 'YOUR_CLIENT_ID.apps.googleusercontent.com',
+
+  // Google's public keys for ID tokens (verified here, nothing is sent to Google)
+  GOOGLE_CERTS_URL: 'https://www.googleapis.com/oauth2/v3/certs',
+
+  // true: a session token needs a valid Google ID token.
+  // false is NOT authentication: anyone can send an allowed Origin header
+  // from outside a browser and get a token. Only for testing.
+  REQUIRE_GOOGLE_AUTH: true,
   
   // Maximum events to store (Cloudflare KV has limits on free tier)
   MAX_EVENTS: 10000,
   
   // Rate limiting: max events per IP per minute
   RATE_LIMIT: 100,
+
+  // Event ids remembered to drop duplicates (the client may deliver the same
+  // event by beacon on unload and again by fetch on the next page)
+  DEDUP_WINDOW_MS: 24 * 60 * 60 * 1000,
   
   // Allowed origins (your GitHub Pages domain)
   ALLOWED_ORIGINS: [
@@ -24,12 +53,12 @@ const CONFIG = {
   ]
 }
 
-async function handleRequest(request) {
+async function handleRequest(request, env = {}) {
   // CORS headers
   const corsHeaders = {
     'Access-Control-Allow-Origin': '*', // Will be restricted below
     'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, X-API-Key',
+    'Access-Control-Allow-Headers': 'Content-Type',
   }
 
   // Handle preflight
@@ -55,69 +84,148 @@ async function handleRequest(request) {
       })
     }
 
-    // Verify API key
-    const apiKey = request.headers.get('X-API-Key')
-    if (apiKey !== CONFIG.API_KEY) {
-      return new Response('Invalid API key', { 
+    const url = new URL(request.url)
+
+    const clientIP = request.headers.get('CF-Connecting-IP') || 'unknown'
+
+    // Issue a session token (POST /session { idToken })
+    if (url.pathname.endsWith('/session')) {
+      const rateLimited = new Response('Rate limit exceeded', { 
+        status: 429,
+        headers: { ...corsHeaders, 'Retry-After': '60' }
+      })
+
+      if (isSessionRateLimited(`ip:${clientIP}`, CONFIG.SESSION_IP_RATE_LIMIT)) {
+        return rateLimited
+      }
+
+      const { idToken } = JSON.parse(await request.text() || '{}')
+      const identity = idToken ? await verifyGoogleIdToken(idToken) : null
+      if ((idToken || CONFIG.REQUIRE_GOOGLE_AUTH) && !identity) {
+        return new Response('Google sign-in required', { 
+          status: 401,
+          headers: corsHeaders 
+        })
+      }
+
+      // Per account; without Google auth (testing only) per IP
+      const rateLimitSubject = identity ? `user:${identity.sub}` : `anon:${clientIP}`
+      if (isSessionRateLimited(rateLimitSubject, CONFIG.SESSION_RATE_LIMIT)) {
+        return rateLimited
+      }
+
+      const session = await createSessionToken(origin, identity?.email || null)
+      return new Response(JSON.stringify(session), {
+        status: 200,
+        headers: {
+          ...corsHeaders,
+          'Content-Type': 'application/json'
+        }
+      })
+    }
+
+    // Parse event data: a batch { events, batchId, droppedEvents, token } or a single event
+    // Read as text: beacons are sent as text/plain to avoid a CORS preflight
+    const { token, ...body } = JSON.parse(await request.text())
+    const events = Array.isArray(body.events) ? body.events : [body]
+
+    // Verify session token (in the body, or ?token= in the query string;
+    // both work for fetch and sendBeacon, which can't set headers)
+    const session = await verifySessionToken(token || url.searchParams.get('token'), origin)
+    if (!session) {
+      return new Response('Invalid or expired session token', { 
         status: 401,
         headers: corsHeaders 
       })
     }
-
-    // Parse event data
-    const event = await request.json()
     
     // Rate limiting check
-    const clientIP = request.headers.get('CF-Connecting-IP') || 'unknown'
     const rateLimitKey = `ratelimit:${clientIP}:${Math.floor(Date.now() / 60000)}`
     
     // Get current count (if using Cloudflare KV)
-    // const count = await LOGS.get(rateLimitKey) || 0
+    // const count = await env.LOGS.get(rateLimitKey) || 0
     // if (count > CONFIG.RATE_LIMIT) {
     //   return new Response('Rate limit exceeded', { 
     //     status: 429,
     //     headers: corsHeaders 
     //   })
     // }
-    
-    // Enrich event with server-side data
-    const enrichedEvent = {
-      ...event,
-      timestamp: new Date().toISOString(),
-      clientIP: clientIP,
-      userAgent: request.headers.get('User-Agent'),
-      referer: request.headers.get('Referer'),
-      country: request.headers.get('CF-IPCountry'),
-      eventId: generateEventId()
+
+    if (body.droppedEvents > 0) {
+      console.warn('[DROPPED EVENTS]', body.droppedEvents, 'from', clientIP)
     }
 
-    // Validate event structure
-    if (!validateEvent(enrichedEvent)) {
+    let accepted = 0
+    let duplicates = 0
+    let invalid = 0
+
+    for (const event of events) {
+      // Already delivered (beacon + retry): acknowledge without storing again
+      if (event.eventId && isDuplicateEvent(event.eventId)) {
+        duplicates++
+        continue
+      }
+
+      // Enrich event with server-side data
+      const enrichedEvent = {
+        ...event,
+        timestamp: new Date().toISOString(),
+        clientIP: clientIP,
+        userAgent: request.headers.get('User-Agent'),
+        referer: request.headers.get('Referer'),
+        country: request.headers.get('CF-IPCountry'),
+        verifiedEmail: session.email || null,
+        eventId: event.eventId || generateEventId()
+      }
+
+      // Validate event structure
+      if (!validateEvent(enrichedEvent)) {
+        invalid++
+        continue
+      }
+
+      // Check for suspicious patterns
+      const securityCheck = checkSecurityPatterns(enrichedEvent)
+      if (securityCheck.isSuspicious) {
+        enrichedEvent.securityFlags = securityCheck.flags
+        enrichedEvent.severity = 'HIGH'
+      }
+
+      // Store event (false: another isolate already stored this eventId)
+      const stored = await storeEvent(enrichedEvent, env)
+
+      // Only remembered once stored: an event that failed validation or
+      // storage is accepted when the client sends it again
+      rememberEventId(enrichedEvent.eventId)
+
+      if (!stored) {
+        duplicates++
+        continue
+      }
+
+      if (securityCheck.isSuspicious) {
+        // Send alert (implement your alerting logic)
+        await sendAlert(enrichedEvent)
+      }
+
+      // Log to console for real-time monitoring
+      console.log('[SECURITY EVENT]', JSON.stringify(enrichedEvent))
+      accepted++
+    }
+
+    // Nothing usable: the client shouldn't retry a malformed batch either
+    if (invalid > 0 && accepted === 0 && duplicates === 0) {
       return new Response('Invalid event structure', { 
         status: 400,
         headers: corsHeaders 
       })
     }
 
-    // Check for suspicious patterns
-    const securityCheck = checkSecurityPatterns(enrichedEvent)
-    if (securityCheck.isSuspicious) {
-      enrichedEvent.securityFlags = securityCheck.flags
-      enrichedEvent.severity = 'HIGH'
-      
-      // Send alert (implement your alerting logic)
-      await sendAlert(enrichedEvent)
-    }
-
-    // Store event
-    await storeEvent(enrichedEvent)
-
-    // Log to console for real-time monitoring
-    console.log('[SECURITY EVENT]', JSON.stringify(enrichedEvent))
-
     return new Response(JSON.stringify({ 
       success: true, 
-      eventId: enrichedEvent.eventId 
+      accepted: accepted,
+      duplicates: duplicates,
+      invalid: invalid
     }), {
       status: 200,
       headers: {
@@ -135,6 +243,184 @@ async function handleRequest(request) {
   }
 }
 
+// ============================================================================
+// SESSION TOKENS: base64url(payload).base64url(HMAC-SHA256(payload))
+// ============================================================================
+
+let tokenKeyPromise = null
+
+function getTokenKey() {
+  if (!tokenKeyPromise) {
+    tokenKeyPromise = crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(CONFIG.TOKEN_SECRET),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign', 'verify']
+    )
+  }
+  return tokenKeyPromise
+}
+
+function toBase64url(bytes) {
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '')
+}
+
+function fromBase64url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'))
+  return Uint8Array.from(binary, char => char.charCodeAt(0))
+}
+
+// 'ip:…' / 'user:…' -> { windowStart, count } of /session requests this minute
+// Per isolate only; with KV, use the same per-minute key as the event limit:
+// const key = `ratelimit:session:${subject}:${Math.floor(Date.now() / 60000)}`
+// const count = Number(await LOGS.get(key) || 0)
+// await LOGS.put(key, String(count + 1), { expirationTtl: 120 })
+const sessionRequests = new Map()
+
+function isSessionRateLimited(subject, limit) {
+  const windowStart = Math.floor(Date.now() / 60000)
+
+  for (const [key, entry] of sessionRequests) {
+    if (entry.windowStart !== windowStart) sessionRequests.delete(key)
+  }
+
+  const entry = sessionRequests.get(subject) || { windowStart: windowStart, count: 0 }
+  entry.count++
+  sessionRequests.set(subject, entry)
+
+  return entry.count > limit
+}
+
+// Google's signing keys by kid, refetched when they expire or a kid is unknown
+let googleCerts = { keys: new Map(), expiresAt: 0 }
+
+async function getGoogleCert(kid) {
+  if (Date.now() >= googleCerts.expiresAt || !googleCerts.keys.has(kid)) {
+    const response = await fetch(CONFIG.GOOGLE_CERTS_URL)
+    if (!response.ok) throw new Error(`Google certs returned ${response.status}`)
+
+    const maxAge = Number((response.headers.get('Cache-Control') || '').match(/max-age=(\d+)/)?.[1] || 3600)
+    const { keys } = await response.json()
+    googleCerts = {
+      keys: new Map(keys.map(jwk => [jwk.kid, jwk])),
+      expiresAt: Date.now() + maxAge * 1000
+    }
+  }
+
+  const jwk = googleCerts.keys.get(kid)
+  if (!jwk) return null
+
+  return crypto.subtle.importKey('jwk', jwk, { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, false, ['verify'])
+}
+
+/**
+ * Claims ({ sub, email }) of a Google ID token issued for our OAuth client, or null
+ * Verified locally against Google's public keys
+ */
+async function verifyGoogleIdToken(idToken) {
+  if (typeof idToken !== 'string') return null
+
+  const [header, payload, signature] = idToken.split('.')
+  if (!header || !payload || !signature) return null
+
+  try {
+    const { alg, kid } = JSON.parse(new TextDecoder().decode(fromBase64url(header)))
+    if (alg !== 'RS256') return null
+
+    const key = await getGoogleCert(kid)
+    if (!key) return null
+
+    const valid = await crypto.subtle.verify(
+      'RSASSA-PKCS1-v1_5',
+      key,
+      fromBase64url(signature),
+      new TextEncoder().encode(`${header}.${payload}`)
+    )
+    if (!valid) return null
+
+    const claims = JSON.parse(new TextDecoder().decode(fromBase64url(payload)))
+    if (!['accounts.google.com', 'https://accounts.google.com'].includes(claims.iss)) return null
+    if (claims.aud !== CONFIG.GOOGLE_CLIENT_ID) return null
+    if (!(claims.exp * 1000 > Date.now())) return null
+    if (claims.email_verified !== true && claims.email_verified !== 'true') return null
+
+    return { sub: claims.sub, email: claims.email || null }
+  } catch (error) {
+    console.warn('[ID TOKEN]', error.message)
+    return null // Malformed token, or Google's keys unreachable
+  }
+}
+
+/**
+ * Short-lived token bound to the requesting origin (and the Google account
+ * that asked for it, if any)
+ * Returns { token, expiresAt }
+ */
+async function createSessionToken(origin, email = null) {
+  const expiresAt = Date.now() + CONFIG.TOKEN_TTL_MS
+  const claims = { sid: crypto.randomUUID(), origin: origin, email: email, exp: expiresAt }
+  const payload = toBase64url(new TextEncoder().encode(JSON.stringify(claims)))
+  const signature = await crypto.subtle.sign('HMAC', await getTokenKey(), new TextEncoder().encode(payload))
+
+  return { token: `${payload}.${toBase64url(new Uint8Array(signature))}`, expiresAt: expiresAt }
+}
+
+/**
+ * Claims of a valid, unexpired token issued to origin, or null
+ */
+async function verifySessionToken(token, origin) {
+  if (typeof token !== 'string') return null
+
+  const [payload, signature] = token.split('.')
+  if (!payload || !signature) return null
+
+  try {
+    // crypto.subtle.verify compares in constant time
+    const valid = await crypto.subtle.verify(
+      'HMAC',
+      await getTokenKey(),
+      fromBase64url(signature),
+      new TextEncoder().encode(payload)
+    )
+    if (!valid) return null
+
+    const claims = JSON.parse(new TextDecoder().decode(fromBase64url(payload)))
+    if (claims.origin !== origin || !(claims.exp > Date.now())) return null
+
+    return claims
+  } catch {
+    return null // Malformed base64 or JSON
+  }
+}
+
+// eventId -> stored at (insertion order = age)
+// Per isolate only, a fast path: with a LOGS namespace bound, storeEvent
+// finds the eventId in KV whichever isolate stored it
+const recentEventIds = new Map()
+
+function isDuplicateEvent(eventId) {
+  const seenAt = recentEventIds.get(eventId)
+  return seenAt !== undefined && Date.now() - seenAt < CONFIG.DEDUP_WINDOW_MS
+}
+
+/**
+ * Remember a stored eventId, forgetting the oldest beyond the window or MAX_EVENTS
+ */
+function rememberEventId(eventId) {
+  const now = Date.now()
+
+  for (const [id, seenAt] of recentEventIds) {
+    if (now - seenAt < CONFIG.DEDUP_WINDOW_MS && recentEventIds.size < CONFIG.MAX_EVENTS) break
+    recentEventIds.delete(id)
+  }
+
+  recentEventIds.set(eventId, now)
+}
+
 function validateEvent(event) {
   // Required fields
   const required = ['eventType', 'timestamp']
@@ -150,6 +436,7 @@ function validateEvent(event) {
     'security_warning',
     'security_block',
     'sheet_edit_accessed',
+    'security_event',
     'error'
   ]
   
@@ -194,11 +481,22 @@ function checkSecurityPatterns(event) {
   return { isSuspicious, flags }
 }
 
-async function storeEvent(event) {
-  // Option 1: Store in Cloudflare KV (simple key-value store)
-  // await LOGS.put(event.eventId, JSON.stringify(event), {
-  //   expirationTtl: 2592000 // 30 days
-  // })
+/**
+ * Store an event once per eventId
+ * Returns false if it was already stored (a beacon and a retry of the same event)
+ */
+async function storeEvent(event, env = {}) {
+  // Option 1: Store in Cloudflare KV (bind a namespace as LOGS)
+  // Keyed by eventId, so a second delivery from any isolate is detected here,
+  // and two racing deliveries overwrite the same key instead of adding a copy
+  if (env.LOGS) {
+    const key = `event:${event.eventId}`
+    if (await env.LOGS.get(key) !== null) return false
+    await env.LOGS.put(key, JSON.stringify(event), {
+      expirationTtl: 2592000 // 30 days
+    })
+    return true
+  }
 
   // Option 2: Send to external logging service
   // Examples: Logtail, Sentry, DataDog, LogDNA
@@ -216,8 +514,9 @@ async function storeEvent(event) {
   // Option 3: Send to Google Sheets (ironic but works!)
   // await appendToSheet(event)
   
-  // For now, just log it (Cloudflare Workers logs are accessible)
+  // Without KV, just log it (Cloudflare Workers logs are accessible)
   console.log('[STORED]', event.eventId)
+  return true
 }
 
 async function sendAlert(event) {
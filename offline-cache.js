@@ -0,0 +1,198 @@
+// offline-cache.js
+// Add this to bookmarklet.js, before google-sheets-oauth.js
+
+// ============================================================================
+// OFFLINE CACHE CONFIGURATION
+// ============================================================================
+
+const OFFLINE_CACHE_CONFIG = {
+  // Show the last verified document list while fetching a fresh copy
+  enabled: true,
+
+  // IndexedDB location
+  dbName: 'clickedu_docs_overlay',
+  storeName: 'verified_docs',
+  cacheKey: 'docs',
+
+  // Never show a copy older than this (7 days)
+  maxAgeMs: 7 * 24 * 60 * 60 * 1000,
+
+  // How often the "cached N minutes ago" text refreshes
+  indicatorRefreshMs: 30000
+};
+
+/**
+ * Open (and create if needed) the cache database
+ */
+function openCacheDB() {
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB not available'));
+      return;
+    }
+
+    const request = indexedDB.open(OFFLINE_CACHE_CONFIG.dbName, 1);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(OFFLINE_CACHE_CONFIG.storeName)) {
+        db.createObjectStore(OFFLINE_CACHE_CONFIG.storeName, { keyPath: 'key' });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run a single request against the cache store
+ */
+async function withCacheStore(mode, operation) {
+  const db = await openCacheDB();
+
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(OFFLINE_CACHE_CONFIG.storeName, mode);
+      const request = operation(tx.objectStore(OFFLINE_CACHE_CONFIG.storeName));
+
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Read the last verified doc set
+ * Returns null when disabled, missing, too old or unreadable
+ */
+async function readCachedDocs() {
+  if (!OFFLINE_CACHE_CONFIG.enabled) return null;
+
+  try {
+    const entry = await withCacheStore('readonly', store => store.get(OFFLINE_CACHE_CONFIG.cacheKey));
+
+    if (!entry) return null;
+
+    if (Date.now() - entry.timestamp > OFFLINE_CACHE_CONFIG.maxAgeMs) {
+      logSecurity('info', 'Offline cache expired, ignoring it');
+      return null;
+    }
+
+    return entry;
+  } catch (error) {
+    console.warn('Failed to read offline cache:', error);
+    return null;
+  }
+}
+
+/**
+ * Store a parsed doc set together with its integrity hash
+ * entry = { sections, roles, tables, hash, raw, sourceType, validators }
+ * sections are NOT audience-filtered: the copy is shared by every account on
+ * this browser, so it is filtered for the signed-in user each time it renders.
+ * raw/sourceType/validators let the next open skip unchanged data, and
+ * tables/hash let it skip parsing and hashing it again
+ */
+async function writeCachedDocs(entry) {
+  if (!OFFLINE_CACHE_CONFIG.enabled) return;
+
+  try {
+    await withCacheStore('readwrite', store => store.put({
+      ...entry,
+      key: OFFLINE_CACHE_CONFIG.cacheKey,
+      timestamp: Date.now()
+    }));
+  } catch (error) {
+    console.warn('Failed to write offline cache:', error);
+  }
+}
+
+/**
+ * Touch the timestamp of the cached copy when the fresh data is identical
+ */
+async function touchCachedDocs(entry, validators = entry.validators) {
+  await writeCachedDocs({ ...entry, validators });
+}
+
+/**
+ * Remove the cached copy (e.g. on sign-out)
+ */
+async function clearCachedDocs() {
+  try {
+    await withCacheStore('readwrite', store => store.delete(OFFLINE_CACHE_CONFIG.cacheKey));
+  } catch (error) {
+    console.warn('Failed to clear offline cache:', error);
+  }
+}
+
+// ============================================================================
+// UI: "CACHED N MINUTES AGO" INDICATOR
+// ============================================================================
+
+/**
+ * Human readable age in Catalan
+ */
+function formatCacheAge(timestamp) {
+  const minutes = Math.floor((Date.now() - timestamp) / 60000);
+
+  if (minutes < 1) return 'fa menys d\'un minut';
+  if (minutes === 1) return 'fa 1 minut';
+  if (minutes < 60) return `fa ${minutes} minuts`;
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return hours === 1 ? 'fa 1 hora' : `fa ${hours} hores`;
+
+  const days = Math.floor(hours / 24);
+  return days === 1 ? 'fa 1 dia' : `fa ${days} dies`;
+}
+
+/**
+ * Show the cache indicator; returns a controller to update or remove it
+ */
+function showCacheIndicator(overlay, timestamp) {
+  const indicator = document.createElement('div');
+  Object.assign(indicator.style, {
+    position: 'fixed',
+    bottom: '10px',
+    right: '10px',
+    background: 'rgba(0,0,0,0.6)',
+    color: '#fff',
+    padding: '6px 12px',
+    borderRadius: '14px',
+    fontSize: '12px',
+    zIndex: 10000
+  });
+
+  let status = '🔄 Actualitzant...';
+
+  const render = () => {
+    indicator.textContent = `💾 Dades en memòria cau (${formatCacheAge(timestamp)}) · ${status}`;
+  };
+
+  const timer = setInterval(() => {
+    // Overlay closed: stop refreshing
+    if (!indicator.isConnected) {
+      clearInterval(timer);
+      return;
+    }
+    render();
+  }, OFFLINE_CACHE_CONFIG.indicatorRefreshMs);
+
+  render();
+  overlay.appendChild(indicator);
+
+  return {
+    setStatus(text) {
+      status = text;
+      render();
+    },
+    remove() {
+      clearInterval(timer);
+      indicator.remove();
+    }
+  };
+}
@@ -14,146 +14,537 @@ const RATE_LIMIT_CONFIG = {
   maxDocumentClicks: 50,
   documentWindow: 60000, // 1 minute
   
-  // Maximum failed attempts before lockout
+  // Maximum failed attempts before lockout (default policy)
   maxFailedAttempts: 5,
-  lockoutDuration: 300000, // 5 minutes
+  lockoutDuration: 300000, // 5 minutes, first lockout
+  
+  // Lockout policy per violation reason: maxViolations within windowMs lock
+  // the user out. Reasons without a policy use maxFailedAttempts in 5 minutes.
+  lockoutPolicies: {
+    overlay_open: { label: 'Massa obertures de l\'overlay', maxViolations: 5, windowMs: 300000 },
+    document_click: { label: 'Massa clics en documents', maxViolations: 5, windowMs: 300000 },
+    integrity_bypass: { label: 'Massa verificacions d\'integritat ignorades', maxViolations: 3, windowMs: 3600000 }
+  },
+  
+  // Each lockout raises the tier: duration = lockoutDuration * factor^(tier - 1),
+  // up to maxLockoutDuration. One tier is forgiven per decayMs without lockouts.
+  lockoutEscalationFactor: 2,
+  maxLockoutDuration: 86400000, // 24 hours
+  lockoutDecayMs: 86400000, // 24 hours
   
   // Storage key prefix
-  storagePrefix: 'ratelimit_'
+  storagePrefix: 'ratelimit_',
+  
+  // Where attempts are kept:
+  // 'localStorage' (shared by all tabs), 'broadcast' (memory synced between
+  // tabs with BroadcastChannel) or 'memory' (this tab only).
+  // Falls back to 'broadcast'/'memory' when localStorage is unavailable.
+  storage: 'localStorage',
+  broadcastChannel: 'clickedu_docs_ratelimit',
+  
+  // Policy per limiter: 'sliding-window' (max N per window) or
+  // 'token-bucket' (bursts up to N, refilled evenly over the window)
+  overlayPolicy: 'sliding-window',
+  documentPolicy: 'sliding-window',
+  
+  // Ctrl+Shift+<key> opens the status panel, with admin resets
+  // (Ctrl+Shift+R stays the browser's hard reload)
+  statusShortcutKey: 'x'
 };
 
+// ============================================================================
+// RATE LIMIT STORAGE BACKENDS
+// ============================================================================
+// A record is { events: [{ id, t }], clearedAt }. Records from different tabs
+// are merged (union of events by id), so concurrent writes never lose attempts.
+
+/**
+ * Unique id for one attempt
+ */
+function createAttemptId() {
+  return crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+function emptyAttemptRecord() {
+  return { events: [], clearedAt: 0 };
+}
+
+/**
+ * Read a stored record (also accepts the old plain array of timestamps)
+ */
+function parseAttemptRecord(json) {
+  if (!json) return emptyAttemptRecord();
+  
+  try {
+    const parsed = JSON.parse(json);
+    if (Array.isArray(parsed)) {
+      return { events: parsed.map((t, index) => ({ id: `legacy-${t}-${index}`, t })), clearedAt: 0 };
+    }
+    return { events: parsed.events || [], clearedAt: parsed.clearedAt || 0 };
+  } catch {
+    return emptyAttemptRecord();
+  }
+}
+
+/**
+ * Union of two records; events before the latest reset are dropped
+ */
+function mergeAttemptRecords(a, b) {
+  const clearedAt = Math.max(a.clearedAt, b.clearedAt);
+  const byId = new Map();
+  
+  [...a.events, ...b.events].forEach(event => {
+    if (event.t > clearedAt) byId.set(event.id, event);
+  });
+  
+  const events = [...byId.values()].sort((x, y) => x.t - y.t || (x.id < y.id ? -1 : x.id > y.id ? 1 : 0));
+  return { events, clearedAt };
+}
+
+/**
+ * In-memory storage (this tab only)
+ * Interface for all backends: read(key) → record, write(key, record), clear(key)
+ */
+class MemoryRateLimitStorage {
+  constructor() {
+    this.records = new Map();
+  }
+  
+  read(key) {
+    return this.records.get(key) || emptyAttemptRecord();
+  }
+  
+  write(key, record) {
+    this.records.set(key, record);
+  }
+  
+  clear(key) {
+    this.write(key, { events: [], clearedAt: Date.now() });
+  }
+}
+
+/**
+ * localStorage storage shared by every tab
+ * Reads merge the stored record into memory; when another tab overwrites a
+ * record with fewer attempts (a lost update), the 'storage' event writes the
+ * missing ones back.
+ */
+class LocalStorageRateLimitStorage extends MemoryRateLimitStorage {
+  constructor() {
+    super();
+    window.addEventListener('storage', (e) => this.onStorage(e));
+  }
+  
+  static isAvailable() {
+    try {
+      const testKey = `${RATE_LIMIT_CONFIG.storagePrefix}test`;
+      localStorage.setItem(testKey, '1');
+      localStorage.removeItem(testKey);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+  
+  read(key) {
+    const merged = mergeAttemptRecords(super.read(key), parseAttemptRecord(localStorage.getItem(key)));
+    super.write(key, merged);
+    return merged;
+  }
+  
+  write(key, record) {
+    super.write(key, record);
+    
+    try {
+      localStorage.setItem(key, JSON.stringify(record));
+    } catch (error) {
+      // Still limited in this tab through the in-memory copy
+      console.warn('Failed to save rate limit data:', error);
+    }
+  }
+  
+  onStorage(e) {
+    if (!e.key || !this.records.has(e.key)) return;
+    
+    const incoming = parseAttemptRecord(e.newValue);
+    const merged = mergeAttemptRecords(this.records.get(e.key), incoming);
+    const incomingIds = new Set(incoming.events.map(event => event.id));
+    
+    if (merged.events.some(event => !incomingIds.has(event.id))) {
+      this.write(e.key, merged);
+    } else {
+      super.write(e.key, merged);
+    }
+  }
+}
+
+/**
+ * In-memory storage kept in sync between tabs with BroadcastChannel
+ * A new tab asks the others for their records when it starts
+ */
+class BroadcastRateLimitStorage extends MemoryRateLimitStorage {
+  constructor(channelName = RATE_LIMIT_CONFIG.broadcastChannel) {
+    super();
+    this.channel = new BroadcastChannel(channelName);
+    this.channel.onmessage = (e) => this.onMessage(e.data);
+    this.channel.postMessage({ type: 'sync-request' });
+  }
+  
+  write(key, record) {
+    super.write(key, record);
+    this.channel.postMessage({ type: 'record', key, record });
+  }
+  
+  onMessage(message) {
+    if (message.type === 'sync-request') {
+      this.records.forEach((record, key) => this.channel.postMessage({ type: 'record', key, record }));
+    } else if (message.type === 'record') {
+      super.write(message.key, mergeAttemptRecords(this.read(message.key), message.record));
+    }
+  }
+}
+
+/**
+ * Create the configured backend, falling back when it isn't available
+ */
+function createRateLimitStorage(type = RATE_LIMIT_CONFIG.storage) {
+  const hasBroadcast = typeof BroadcastChannel === 'function';
+  
+  if (type === 'localStorage' && LocalStorageRateLimitStorage.isAvailable()) {
+    return new LocalStorageRateLimitStorage();
+  }
+  
+  if (type === 'localStorage') {
+    // e.g. Safari private mode: keep limiting instead of silently allowing everything
+    logSecurity('warn', 'localStorage unavailable, rate limits kept in memory', { broadcast: hasBroadcast });
+  }
+  
+  if ((type === 'localStorage' || type === 'broadcast') && hasBroadcast) {
+    return new BroadcastRateLimitStorage();
+  }
+  
+  return new MemoryRateLimitStorage();
+}
+
+// ============================================================================
+// RATE LIMIT POLICIES
+// ============================================================================
+// evaluate(events, now) → { allowed, waitMs, remaining } for one more attempt
+// prune(events, now) → events that still matter
+
+/**
+ * At most maxAttempts within any windowMs
+ */
+class SlidingWindowPolicy {
+  constructor(maxAttempts, windowMs) {
+    this.name = 'sliding-window';
+    this.maxAttempts = maxAttempts;
+    this.windowMs = windowMs;
+  }
+  
+  prune(events, now) {
+    return events.filter(event => now - event.t < this.windowMs);
+  }
+  
+  evaluate(events, now) {
+    if (events.length >= this.maxAttempts) {
+      // Wait until enough attempts leave the window
+      const blocking = events[events.length - this.maxAttempts];
+      return { allowed: false, waitMs: this.windowMs - (now - blocking.t) };
+    }
+    
+    return { allowed: true, remaining: this.maxAttempts - events.length - 1 };
+  }
+  
+  /**
+   * Read-only usage: { used, remaining, resetInMs, nextAllowedInMs }
+   */
+  status(events, now) {
+    const decision = this.evaluate(events, now);
+    return {
+      used: events.length,
+      remaining: Math.max(0, this.maxAttempts - events.length),
+      resetInMs: events.length ? this.windowMs - (now - events[0].t) : 0,
+      nextAllowedInMs: decision.allowed ? 0 : decision.waitMs
+    };
+  }
+}
+
+/**
+ * Bursts of up to capacity attempts, one token back every windowMs / capacity
+ * Tokens are replayed from the attempt log, so every tab computes the same value
+ */
+class TokenBucketPolicy {
+  constructor(capacity, windowMs) {
+    this.name = 'token-bucket';
+    this.capacity = capacity;
+    this.refillMs = windowMs / capacity;
+  }
+  
+  /**
+   * Tokens left after the last event, and the index from which history matters
+   * (everything before the bucket was last full is irrelevant)
+   */
+  replay(events) {
+    let tokens = this.capacity;
+    let at = events.length ? events[0].t : 0;
+    let fullIndex = 0;
+    
+    events.forEach((event, index) => {
+      tokens = Math.min(this.capacity, tokens + (event.t - at) / this.refillMs);
+      at = event.t;
+      if (tokens >= this.capacity) fullIndex = index;
+      tokens -= 1; // may go below 0 when tabs raced for the last token
+    });
+    
+    return { tokens, at, fullIndex };
+  }
+  
+  tokensAt(events, now) {
+    if (events.length === 0) return this.capacity;
+    
+    const { tokens, at } = this.replay(events);
+    return Math.min(this.capacity, tokens + (now - at) / this.refillMs);
+  }
+  
+  prune(events, now) {
+    if (this.tokensAt(events, now) >= this.capacity) return [];
+    return events.slice(this.replay(events).fullIndex);
+  }
+  
+  evaluate(events, now) {
+    const tokens = this.tokensAt(events, now);
+    
+    if (tokens < 1) {
+      return { allowed: false, waitMs: Math.ceil((1 - tokens) * this.refillMs) };
+    }
+    
+    return { allowed: true, remaining: Math.floor(tokens - 1) };
+  }
+  
+  /**
+   * Read-only usage: { used, remaining, resetInMs, nextAllowedInMs }
+   */
+  status(events, now) {
+    const tokens = this.tokensAt(events, now);
+    return {
+      used: this.capacity - Math.floor(tokens),
+      remaining: Math.max(0, Math.floor(tokens)),
+      resetInMs: Math.ceil((this.capacity - tokens) * this.refillMs),
+      nextAllowedInMs: tokens >= 1 ? 0 : Math.ceil((1 - tokens) * this.refillMs)
+    };
+  }
+}
+
+function createRateLimitPolicy(name, maxAttempts, windowMs) {
+  return name === 'token-bucket'
+    ? new TokenBucketPolicy(maxAttempts, windowMs)
+    : new SlidingWindowPolicy(maxAttempts, windowMs);
+}
+
+// Shared by all limiters (created lazily so the class definitions come first)
+let rateLimitStorage = null;
+
+function getRateLimitStorage() {
+  if (!rateLimitStorage) rateLimitStorage = createRateLimitStorage();
+  return rateLimitStorage;
+}
+
+// ============================================================================
+// RATE LIMITER
+// ============================================================================
+
 /**
  * Rate limiter class
+ * options: { policy: 'sliding-window' | 'token-bucket', storage: backend, label }
  */
 class RateLimiter {
-  constructor(action, maxAttempts, windowMs) {
+  constructor(action, maxAttempts, windowMs, options = {}) {
     this.action = action;
+    this.label = options.label || action;
     this.maxAttempts = maxAttempts;
     this.windowMs = windowMs;
     this.storageKey = `${RATE_LIMIT_CONFIG.storagePrefix}${action}`;
+    this.policy = createRateLimitPolicy(options.policy, maxAttempts, windowMs);
+    this.storage = options.storage || getRateLimitStorage();
   }
   
   /**
-   * Check if action is allowed
+   * Check if action is allowed (and record it when it is)
    */
   isAllowed() {
     const now = Date.now();
-    const attempts = this.getAttempts();
-    
-    // Clean old attempts outside the window
-    const validAttempts = attempts.filter(timestamp => 
-      now - timestamp < this.windowMs
-    );
+    const record = this.storage.read(this.storageKey);
+    const events = this.policy.prune(record.events, now);
+    const decision = this.policy.evaluate(events, now);
     
     // Check if limit exceeded
-    if (validAttempts.length >= this.maxAttempts) {
-      const oldestAttempt = Math.min(...validAttempts);
-      const timeToWait = this.windowMs - (now - oldestAttempt);
+    if (!decision.allowed) {
+      const timeToWait = Math.ceil(decision.waitMs / 1000);
       
       logSecurity('warn', `Rate limit exceeded for ${this.action}`, {
-        attempts: validAttempts.length,
+        attempts: events.length,
         maxAttempts: this.maxAttempts,
-        timeToWait: Math.ceil(timeToWait / 1000)
+        policy: this.policy.name,
+        timeToWait: timeToWait
       });
       
       return {
         allowed: false,
-        timeToWait: Math.ceil(timeToWait / 1000)
+        timeToWait: timeToWait
       };
     }
     
     // Record this attempt
-    validAttempts.push(now);
-    this.saveAttempts(validAttempts);
+    this.storage.write(this.storageKey, {
+      events: [...events, { id: createAttemptId(), t: now }],
+      clearedAt: record.clearedAt
+    });
     
     return {
       allowed: true,
-      remainingAttempts: this.maxAttempts - validAttempts.length
+      remainingAttempts: decision.remaining
     };
   }
   
   /**
-   * Get attempts from storage
+   * Timestamps of the attempts that still count
    */
   getAttempts() {
-    try {
-      const stored = localStorage.getItem(this.storageKey);
-      return stored ? JSON.parse(stored) : [];
-    } catch {
-      return [];
-    }
+    const now = Date.now();
+    return this.policy.prune(this.storage.read(this.storageKey).events, now).map(event => event.t);
   }
   
   /**
-   * Save attempts to storage
+   * Reset attempts (in every tab)
    */
-  saveAttempts(attempts) {
-    try {
-      localStorage.setItem(this.storageKey, JSON.stringify(attempts));
-    } catch (error) {
-      console.warn('Failed to save rate limit data:', error);
-    }
+  reset() {
+    this.storage.clear(this.storageKey);
   }
   
   /**
-   * Reset attempts
+   * Read-only snapshot for the status panel (records nothing)
    */
-  reset() {
-    localStorage.removeItem(this.storageKey);
+  getStatus(now = Date.now()) {
+    const events = this.policy.prune(this.storage.read(this.storageKey).events, now);
+    return {
+      action: this.action,
+      label: this.label,
+      policy: this.policy.name,
+      limit: this.maxAttempts,
+      windowMs: this.windowMs,
+      ...this.policy.status(events, now)
+    };
   }
 }
 
 /**
  * Lockout manager for repeated violations
+ * Violations and lockouts are event logs in the rate limit storage, so every
+ * tab derives the same tier and lockout.
  */
 class LockoutManager {
-  constructor() {
+  constructor(storage = getRateLimitStorage()) {
+    this.storage = storage;
     this.storageKey = `${RATE_LIMIT_CONFIG.storagePrefix}lockout`;
+    this.violationsKey = `${this.storageKey}_violations`;
+  }
+  
+  /**
+   * Policy for a violation reason
+   */
+  getPolicy(reason) {
+    return RATE_LIMIT_CONFIG.lockoutPolicies[reason] || {
+      label: reason,
+      maxViolations: RATE_LIMIT_CONFIG.maxFailedAttempts,
+      windowMs: 300000
+    };
+  }
+  
+  /**
+   * Longest window of any policy: older violations never count
+   */
+  getViolationWindowMs() {
+    return Math.max(300000, ...Object.values(RATE_LIMIT_CONFIG.lockoutPolicies).map(p => p.windowMs));
+  }
+  
+  /**
+   * Lockout length for a tier (1 = first lockout)
+   */
+  getTierDuration(tier) {
+    const duration = RATE_LIMIT_CONFIG.lockoutDuration *
+      Math.pow(RATE_LIMIT_CONFIG.lockoutEscalationFactor, tier - 1);
+    return Math.min(duration, RATE_LIMIT_CONFIG.maxLockoutDuration);
+  }
+  
+  /**
+   * Current tier: the last lockout's tier minus one per decayMs since it ended
+   * Returns { tier, lastUntil } where lastUntil is the end of the last lockout
+   */
+  getTierState(now = Date.now()) {
+    const last = this.getLockout();
+    if (!last) return { tier: 0, lastUntil: null };
+    
+    const decayed = now > last.until
+      ? Math.floor((now - last.until) / RATE_LIMIT_CONFIG.lockoutDecayMs)
+      : 0;
+    
+    return { tier: Math.max(0, last.tier - decayed), lastUntil: last.until };
   }
   
   /**
    * Check if currently locked out
+   * Always returns { locked, tier, nextDecayIn } (+ timeRemaining, reason when locked)
    */
   isLockedOut() {
+    const now = Date.now();
+    const { tier, lastUntil } = this.getTierState(now);
     const lockout = this.getLockout();
     
-    if (!lockout) return false;
+    // Seconds until one tier is forgiven
+    let nextDecayIn = null;
+    if (tier > 0) {
+      const decayMs = RATE_LIMIT_CONFIG.lockoutDecayMs;
+      const sinceEnd = Math.max(0, now - lastUntil);
+      nextDecayIn = Math.ceil((Math.max(0, lastUntil - now) + decayMs - sinceEnd % decayMs) / 1000);
+    }
     
-    const now = Date.now();
-    if (now < lockout.until) {
-      const timeRemaining = Math.ceil((lockout.until - now) / 1000);
-      
+    if (lockout && now < lockout.until) {
       return {
         locked: true,
-        timeRemaining: timeRemaining,
-        reason: lockout.reason
+        timeRemaining: Math.ceil((lockout.until - now) / 1000),
+        reason: this.getPolicy(lockout.reason).label,
+        reasonKey: lockout.reason,
+        tier: tier,
+        nextDecayIn: nextDecayIn
       };
     }
     
-    // Lockout expired, clear it
-    this.clearLockout();
-    return { locked: false };
+    return { locked: false, tier: tier, nextDecayIn: nextDecayIn };
   }
   
   /**
-   * Record a violation
+   * Record a violation; returns true when it caused a lockout
    */
   recordViolation(reason) {
-    const violations = this.getViolations();
-    violations.push({
-      timestamp: Date.now(),
-      reason: reason
-    });
+    const now = Date.now();
+    const policy = this.getPolicy(reason);
+    
+    // Violations before the last lockout for this reason are already paid for
+    const lastLockout = this.getLockouts().filter(lockout => lockout.reason === reason).pop();
+    const since = Math.max(now - policy.windowMs, lastLockout ? lastLockout.t : 0);
     
-    // Keep only recent violations (last 5 minutes)
-    const recentViolations = violations.filter(v => 
-      Date.now() - v.timestamp < 300000
-    );
+    const violations = this.getViolations().filter(v => now - v.t < this.getViolationWindowMs());
+    violations.push({ id: createAttemptId(), t: now, reason: reason });
     
-    this.saveViolations(recentViolations);
+    this.saveViolations(violations);
+    
+    const recentViolations = violations.filter(v => v.reason === reason && v.t > since);
     
     // Check if should lock out
-    if (recentViolations.length >= RATE_LIMIT_CONFIG.maxFailedAttempts) {
+    if (recentViolations.length >= policy.maxViolations) {
       this.lockout(reason);
       return true;
     }
@@ -162,64 +553,84 @@ class LockoutManager {
   }
   
   /**
-   * Lock out the user
+   * Lock out the user at the next tier
    */
   lockout(reason) {
-    const lockout = {
-      until: Date.now() + RATE_LIMIT_CONFIG.lockoutDuration,
-      reason: reason,
-      timestamp: Date.now()
-    };
+    const now = Date.now();
+    const previousTier = this.getTierState(now).tier;
+    const tier = previousTier + 1;
+    const duration = this.getTierDuration(tier);
+    const record = this.storage.read(this.storageKey);
     
-    localStorage.setItem(this.storageKey, JSON.stringify(lockout));
+    // Fully decayed history no longer matters
+    const history = previousTier === 0 ? [] : record.events;
+    
+    this.storage.write(this.storageKey, {
+      events: [...history, { id: createAttemptId(), t: now, until: now + duration, reason, tier }],
+      clearedAt: record.clearedAt
+    });
     
     logSecurity('error', 'User locked out due to repeated violations', {
       reason: reason,
-      duration: RATE_LIMIT_CONFIG.lockoutDuration / 1000
+      tier: tier,
+      duration: duration / 1000
     });
   }
   
   /**
-   * Clear lockout
+   * Clear lockout, tiers and violations (in every tab)
    */
   clearLockout() {
-    localStorage.removeItem(this.storageKey);
-    localStorage.removeItem(`${this.storageKey}_violations`);
+    this.storage.clear(this.storageKey);
+    this.storage.clear(this.violationsKey);
   }
   
   /**
-   * Get current lockout
+   * All lockouts still relevant for the tier (oldest first)
+   */
+  getLockouts() {
+    return this.storage.read(this.storageKey).events;
+  }
+  
+  /**
+   * Get current (or last) lockout
    */
   getLockout() {
-    try {
-      const stored = localStorage.getItem(this.storageKey);
-      return stored ? JSON.parse(stored) : null;
-    } catch {
-      return null;
-    }
+    const lockouts = this.getLockouts();
+    return lockouts.length ? lockouts[lockouts.length - 1] : null;
   }
   
   /**
    * Get violations
    */
   getViolations() {
-    try {
-      const stored = localStorage.getItem(`${this.storageKey}_violations`);
-      return stored ? JSON.parse(stored) : [];
-    } catch {
-      return [];
-    }
+    return this.storage.read(this.violationsKey).events;
+  }
+  
+  /**
+   * Read-only snapshot for the status panel
+   * isLockedOut() fields + recent violations (newest first) and the next tier's duration
+   */
+  getStatus(now = Date.now()) {
+    const windowMs = this.getViolationWindowMs();
+    const state = this.isLockedOut();
+    
+    return {
+      ...state,
+      nextLockoutDuration: this.getTierDuration(state.tier + 1),
+      recentViolations: this.getViolations()
+        .filter(v => now - v.t < windowMs)
+        .map(v => ({ reason: v.reason, label: this.getPolicy(v.reason).label, timestamp: v.t }))
+        .reverse()
+    };
   }
   
   /**
    * Save violations
    */
   saveViolations(violations) {
-    try {
-      localStorage.setItem(`${this.storageKey}_violations`, JSON.stringify(violations));
-    } catch (error) {
-      console.warn('Failed to save violations:', error);
-    }
+    const record = this.storage.read(this.violationsKey);
+    this.storage.write(this.violationsKey, { events: violations, clearedAt: record.clearedAt });
   }
 }
 
@@ -227,17 +638,161 @@ class LockoutManager {
 const overlayLimiter = new RateLimiter(
   'overlay_open', 
   RATE_LIMIT_CONFIG.maxOverlayOpens,
-  RATE_LIMIT_CONFIG.overlayWindow
+  RATE_LIMIT_CONFIG.overlayWindow,
+  { policy: RATE_LIMIT_CONFIG.overlayPolicy, label: 'Obertures de l\'overlay' }
 );
 
 const documentLimiter = new RateLimiter(
   'document_click',
   RATE_LIMIT_CONFIG.maxDocumentClicks,
-  RATE_LIMIT_CONFIG.documentWindow
+  RATE_LIMIT_CONFIG.documentWindow,
+  { policy: RATE_LIMIT_CONFIG.documentPolicy, label: 'Clics en documents' }
 );
 
+// Limiters by action, for admin resets
+const RATE_LIMITERS = {
+  [overlayLimiter.action]: overlayLimiter,
+  [documentLimiter.action]: documentLimiter
+};
+
 const lockoutManager = new LockoutManager();
 
+// ============================================================================
+// UI: RATE LIMIT NOTICES
+// ============================================================================
+
+// Only one notice at a time: { element, timer, host }
+let activeRateLimitNotice = null;
+
+/**
+ * "1:05" style countdown
+ */
+function formatCountdown(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Disable (or re-enable) the document buttons of the overlay inside host
+ * Only buttons in a docs container: with host = document.body (blocked before
+ * the overlay opened) the ClickEdu page's own buttons stay untouched
+ */
+function setDocButtonsDisabled(host, disabled) {
+  host.querySelectorAll(
+    '[data-docs-container] button[data-doc-url], [data-docs-container] button[data-url]'
+  ).forEach(btn => {
+    if (disabled && !btn.disabled) {
+      btn.disabled = true;
+      btn.dataset.rateLimited = 'true';
+      btn.style.opacity = '0.5';
+    } else if (!disabled && btn.dataset.rateLimited) {
+      btn.disabled = false;
+      delete btn.dataset.rateLimited;
+      btn.style.opacity = '';
+    }
+  });
+}
+
+function clearRateLimitNotice() {
+  if (!activeRateLimitNotice) return;
+  
+  clearInterval(activeRateLimitNotice.timer);
+  activeRateLimitNotice.element.remove();
+  setDocButtonsDisabled(activeRateLimitNotice.host, false);
+  activeRateLimitNotice = null;
+}
+
+/**
+ * Non-blocking notice with a live countdown
+ * Document buttons in host stay disabled until the countdown ends.
+ * For lockouts the remaining time is re-read every second (another tab may extend it).
+ */
+function showRateLimitNotice({ host = document.body, icon, title, message, seconds, lockout = false }) {
+  clearRateLimitNotice();
+  
+  const notice = document.createElement('div');
+  notice.setAttribute('role', 'alert');
+  Object.assign(notice.style, {
+    position: 'fixed',
+    bottom: '20px',
+    left: '50%',
+    transform: 'translateX(-50%)',
+    maxWidth: '420px',
+    background: lockout ? '#dc3545' : '#ffc107',
+    color: lockout ? '#fff' : '#000',
+    padding: '12px 18px',
+    borderRadius: '10px',
+    fontSize: '14px',
+    lineHeight: '1.4',
+    zIndex: 100000,
+    boxShadow: '0 4px 16px rgba(0,0,0,0.3)'
+  });
+  
+  const heading = document.createElement('strong');
+  heading.textContent = `${icon} ${title}`;
+  const text = document.createElement('div');
+  text.textContent = message;
+  const countdown = document.createElement('div');
+  countdown.style.marginTop = '6px';
+  countdown.style.fontWeight = 'bold';
+  const details = document.createElement('button');
+  details.textContent = 'Veure detalls';
+  Object.assign(details.style, {
+    marginTop: '8px',
+    padding: '4px 10px',
+    border: '1px solid currentColor',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    background: 'transparent',
+    color: 'inherit'
+  });
+  // Blocked before the overlay opened: the panel goes where the notice is
+  details.onclick = () => showRateLimitStatusPanel(host);
+  notice.append(heading, text, countdown, details);
+  
+  let until = Date.now() + seconds * 1000;
+  
+  const tick = () => {
+    // Overlay closed with the notice inside it
+    if (!notice.isConnected) {
+      clearRateLimitNotice();
+      return;
+    }
+    
+    if (lockout) {
+      const state = lockoutManager.isLockedOut();
+      until = state.locked ? Date.now() + state.timeRemaining * 1000 : 0;
+    }
+    
+    const remaining = Math.ceil((until - Date.now()) / 1000);
+    if (remaining <= 0) {
+      clearRateLimitNotice();
+      return;
+    }
+    
+    countdown.textContent = `⏱️ Podràs tornar-ho a intentar d'aquí a ${formatCountdown(remaining)}`;
+  };
+  
+  activeRateLimitNotice = { element: notice, timer: setInterval(tick, 1000), host };
+  setDocButtonsDisabled(host, true);
+  host.appendChild(notice);
+  tick();
+}
+
+/**
+ * Notice for the current lockout
+ */
+function showLockoutNotice(host, lockout) {
+  showRateLimitNotice({
+    host,
+    icon: '🚫',
+    title: 'Accés blocat temporalment',
+    message: `Motiu: ${lockout.reason}. Si creus que és un error, contacta amb l'administrador.`,
+    seconds: lockout.timeRemaining,
+    lockout: true
+  });
+}
+
 // ============================================================================
 // INTEGRATE WITH EXISTING FUNCTIONS
 // ============================================================================
@@ -250,34 +805,24 @@ function openOverlay() {
   // Check lockout first
   const lockout = lockoutManager.isLockedOut();
   if (lockout.locked) {
-    alert(
-      `🚫 ACCÉS BLOCAT\n\n` +
-      `El teu accés ha estat temporalment blocat degut a:\n${lockout.reason}\n\n` +
-      `Temps restant: ${lockout.timeRemaining} segons\n\n` +
-      `Si creus que això és un error, contacta amb l'administrador.`
-    );
+    showLockoutNotice(document.body, lockout);
     return;
   }
   
   // Check rate limit
   const rateCheck = overlayLimiter.isAllowed();
   if (!rateCheck.allowed) {
-    const shouldLockout = lockoutManager.recordViolation('Rate limit exceeded for overlay opens');
+    const shouldLockout = lockoutManager.recordViolation('overlay_open');
     
     if (shouldLockout) {
-      alert(
-        `🚫 MASSA INTENTS\n\n` +
-        `Has superat el límit d'intents permesos.\n` +
-        `El teu accés ha estat blocat durant 5 minuts.\n\n` +
-        `Si necessites ajuda, contacta amb l'administrador.`
-      );
+      showLockoutNotice(document.body, lockoutManager.isLockedOut());
     } else {
-      alert(
-        `⏱️ LÍMIT DE VELOCITAT\n\n` +
-        `Has obert l'overlay massa vegades.\n` +
-        `Espera ${rateCheck.timeToWait} segons abans de tornar-ho a intentar.\n\n` +
-        `Límit: ${RATE_LIMIT_CONFIG.maxOverlayOpens} vegades per minut`
-      );
+      showRateLimitNotice({
+        icon: '⏱️',
+        title: 'Límit de velocitat',
+        message: `Has obert l'overlay massa vegades (límit: ${RATE_LIMIT_CONFIG.maxOverlayOpens} per minut).`,
+        seconds: rateCheck.timeToWait
+      });
     }
     
     return;
@@ -301,28 +846,36 @@ function addRateLimitToDocumentClicks() {
     const btn = e.target.closest('button[data-doc-url]');
     if (!btn) return;
     
+    // Notices go inside the overlay so they close with it
+    const host = btn.closest('[data-docs-container]')?.parentElement || document.body;
+    
+    // Locked out (maybe from another tab)
+    const lockout = lockoutManager.isLockedOut();
+    if (lockout.locked) {
+      e.stopImmediatePropagation();
+      e.preventDefault();
+      showLockoutNotice(host, lockout);
+      return;
+    }
+    
     // Check rate limit
     const rateCheck = documentLimiter.isAllowed();
     if (!rateCheck.allowed) {
       e.stopImmediatePropagation();
       e.preventDefault();
       
-      const shouldLockout = lockoutManager.recordViolation('Rate limit exceeded for document clicks');
+      const shouldLockout = lockoutManager.recordViolation('document_click');
       
       if (shouldLockout) {
-        alert(
-          `🚫 MASSA CLICS\n\n` +
-          `Has fet clic en documents massa ràpidament.\n` +
-          `El teu accés ha estat blocat durant 5 minuts.`
-        );
-        closeOverlay();
+        showLockoutNotice(host, lockoutManager.isLockedOut());
       } else {
-        alert(
-          `⏱️ LÍMIT DE CLICS\n\n` +
-          `Has fet clic en documents massa vegades.\n` +
-          `Espera ${rateCheck.timeToWait} segons.\n\n` +
-          `Límit: ${RATE_LIMIT_CONFIG.maxDocumentClicks} clics per minut`
-        );
+        showRateLimitNotice({
+          host,
+          icon: '⏱️',
+          title: 'Límit de clics',
+          message: `Has obert massa documents seguits (límit: ${RATE_LIMIT_CONFIG.maxDocumentClicks} per minut).`,
+          seconds: rateCheck.timeToWait
+        });
       }
       
       return;
@@ -347,57 +900,236 @@ window.addEventListener('load', () => {
 });
 
 /**
- * Admin function to reset rate limits (add to Ctrl+Shift+R for example)
+ * Admin reset, scoped to one limiter action, 'lockout' or 'all'
+ * Requires an admin Google account (admin-access.js); audited via logSecurity
  */
-function resetRateLimits() {
-  if (confirm('Estàs segur que vols resetejar els límits de velocitat?')) {
-    overlayLimiter.reset();
-    documentLimiter.reset();
+async function resetRateLimits(scope) {
+  if (!(await requireAdmin(`rate_limit_reset:${scope}`))) return false;
+  
+  const limiters = scope === 'all'
+    ? Object.values(RATE_LIMITERS)
+    : [RATE_LIMITERS[scope]].filter(Boolean);
+  
+  const cleared = {};
+  limiters.forEach(limiter => {
+    cleared[limiter.action] = limiter.getAttempts().length;
+    limiter.reset();
+  });
+  
+  if (scope === 'lockout' || scope === 'all') {
+    const lockout = lockoutManager.isLockedOut();
+    cleared.lockout = { locked: lockout.locked, tier: lockout.tier };
     lockoutManager.clearLockout();
-    alert('✅ Límits de velocitat resetejats');
-    logSecurity('info', 'Rate limits reset by user');
   }
+  
+  logSecurity('warn', 'Rate limits reset by admin', {
+    admin: getSignedInEmail(),
+    scope: scope,
+    cleared: cleared
+  });
+  
+  clearRateLimitNotice();
+  return true;
 }
 
-// Add reset shortcut for admins
-document.addEventListener('keydown', (e) => {
-  if (e.ctrlKey && e.shiftKey && e.key.toLowerCase() === 'r') {
-    e.preventDefault();
-    resetRateLimits();
-  }
-});
+/**
+ * Everything the status panel shows (read-only)
+ */
+function getRateLimitStatus() {
+  const now = Date.now();
+  return {
+    limiters: Object.values(RATE_LIMITERS).map(limiter => limiter.getStatus(now)),
+    lockout: lockoutManager.getStatus(now)
+  };
+}
+
+/**
+ * Seconds as "45 s" / "3 min" / "2 h"
+ */
+function formatStatusDuration(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  if (seconds < 60) return `${seconds} s`;
+  if (seconds < 3600) return `${Math.ceil(seconds / 60)} min`;
+  return `${Math.round(seconds / 3600)} h`;
+}
+
+/**
+ * The docs overlay, if it is open
+ */
+function getOpenDocsOverlay() {
+  return document.querySelector('[data-docs-container]')?.parentElement || null;
+}
 
 /**
- * Display rate limit status in console
+ * Status panel: usage of each limiter, lockout state and recent violations
+ * Mounted in host (the docs overlay) so it closes with it. Refreshes every
+ * second while open. Reset buttons need an admin account.
  */
-function showRateLimitStatus() {
-  console.log('📊 RATE LIMIT STATUS');
-  console.log('='.repeat(50));
+function showRateLimitStatusPanel(host = getOpenDocsOverlay() || document.body) {
+  const overlay = document.createElement('div');
+  Object.assign(overlay.style, {
+    position: 'fixed',
+    top: 0,
+    left: 0,
+    width: '100%',
+    height: '100%',
+    background: 'rgba(0,0,0,0.85)',
+    zIndex: 100001,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: '20px'
+  });
   
-  const overlayAttempts = overlayLimiter.getAttempts();
-  const documentAttempts = documentLimiter.getAttempts();
-  const lockout = lockoutManager.isLockedOut();
+  const dialog = document.createElement('div');
+  Object.assign(dialog.style, {
+    background: '#fff',
+    color: '#333',
+    borderRadius: '12px',
+    padding: '25px',
+    maxWidth: '700px',
+    width: '100%',
+    maxHeight: '85vh',
+    overflowY: 'auto',
+    boxShadow: '0 10px 40px rgba(0,0,0,0.3)'
+  });
   
-  console.log(`Overlay Opens: ${overlayAttempts.length}/${RATE_LIMIT_CONFIG.maxOverlayOpens}`);
-  console.log(`Document Clicks: ${documentAttempts.length}/${RATE_LIMIT_CONFIG.maxDocumentClicks}`);
+  dialog.innerHTML = `
+    <h2 style="margin: 0 0 15px 0;">📊 Límits de velocitat</h2>
+    <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+      <thead>
+        <tr style="background: #f8f9fa; text-align: left;">
+          <th style="padding: 6px;">Acció</th>
+          <th style="padding: 6px;">Ús</th>
+          <th style="padding: 6px;">Finestra</th>
+          <th style="padding: 6px;">Reinici en</th>
+          <th style="padding: 6px;"></th>
+        </tr>
+      </thead>
+      <tbody id="ratelimit-rows"></tbody>
+    </table>
+    <h3 style="margin: 20px 0 8px 0;">🔒 Bloqueig</h3>
+    <p id="ratelimit-lockout" style="margin: 0 0 8px 0;"></p>
+    <ul id="ratelimit-violations" style="margin: 0; padding-left: 20px; font-size: 13px;"></ul>
+    <div style="display: flex; gap: 10px; justify-content: flex-end; margin-top: 20px;">
+      <button id="ratelimit-reset-lockout" style="padding: 10px 20px; border: none; border-radius: 6px; cursor: pointer; background: #ffc107; color: #000;">
+        🔓 Desbloquejar
+      </button>
+      <button id="ratelimit-reset-all" style="padding: 10px 20px; border: none; border-radius: 6px; cursor: pointer; background: #dc3545; color: #fff;">
+        Resetejar tot
+      </button>
+      <button id="ratelimit-close" style="padding: 10px 20px; border: none; border-radius: 6px; cursor: pointer; background: #6c757d; color: #fff;">
+        Tancar
+      </button>
+    </div>
+  `;
   
-  if (lockout.locked) {
-    console.log(`🚫 LOCKED OUT: ${lockout.timeRemaining}s remaining`);
-    console.log(`   Reason: ${lockout.reason}`);
-  } else {
-    console.log(`✅ Not locked out`);
-  }
+  const rows = dialog.querySelector('#ratelimit-rows');
+  const lockoutInfo = dialog.querySelector('#ratelimit-lockout');
+  const violationList = dialog.querySelector('#ratelimit-violations');
+  
+  const confirmReset = async (scope, label) => {
+    if (confirm(`Resetejar: ${label}? (cal un compte d'administrador)`)) {
+      await resetRateLimits(scope);
+      render();
+    }
+  };
+  
+  const render = () => {
+    const status = getRateLimitStatus();
+    
+    rows.replaceChildren();
+    status.limiters.forEach(limiter => {
+      const tr = document.createElement('tr');
+      tr.style.borderTop = '1px solid #dee2e6';
+      
+      const policy = limiter.policy === 'token-bucket' ? 'ràfega' : 'finestra';
+      const state = limiter.nextAllowedInMs > 0
+        ? `⏱️ ${formatStatusDuration(limiter.resetInMs)} (bloquejat ${formatStatusDuration(limiter.nextAllowedInMs)})`
+        : limiter.used ? formatStatusDuration(limiter.resetInMs) : '—';
+      
+      [
+        limiter.label,
+        `${limiter.used}/${limiter.limit}`,
+        `${formatStatusDuration(limiter.windowMs)} (${policy})`,
+        state
+      ].forEach(text => {
+        const td = document.createElement('td');
+        td.style.padding = '6px';
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      
+      const actionCell = document.createElement('td');
+      actionCell.style.padding = '6px';
+      const resetBtn = document.createElement('button');
+      resetBtn.textContent = 'Resetejar';
+      Object.assign(resetBtn.style, {
+        padding: '4px 10px',
+        border: '1px solid #ccc',
+        borderRadius: '4px',
+        cursor: 'pointer',
+        background: '#fff'
+      });
+      resetBtn.onclick = () => confirmReset(limiter.action, limiter.label);
+      actionCell.appendChild(resetBtn);
+      tr.appendChild(actionCell);
+      
+      rows.appendChild(tr);
+    });
+    
+    const lockout = status.lockout;
+    const tierText = lockout.tier > 0
+      ? ` · Nivell ${lockout.tier} (es redueix d'aquí a ${formatStatusDuration(lockout.nextDecayIn * 1000)})`
+      : '';
+    lockoutInfo.textContent = (lockout.locked
+      ? `🚫 Bloquejat ${formatStatusDuration(lockout.timeRemaining * 1000)} més: ${lockout.reason}`
+      : `✅ Sense bloqueig. El proper duraria ${formatStatusDuration(lockout.nextLockoutDuration)}`) + tierText;
+    
+    violationList.replaceChildren();
+    if (lockout.recentViolations.length === 0) {
+      const li = document.createElement('li');
+      li.textContent = 'Cap infracció recent';
+      violationList.appendChild(li);
+    }
+    lockout.recentViolations.forEach(violation => {
+      const li = document.createElement('li');
+      li.textContent = `${new Date(violation.timestamp).toLocaleTimeString('ca-ES')} · ${violation.label}`;
+      violationList.appendChild(li);
+    });
+  };
   
-  console.log('='.repeat(50));
+  render();
+  const timer = setInterval(() => {
+    if (!overlay.isConnected) {
+      clearInterval(timer);
+      return;
+    }
+    render();
+  }, 1000);
+  
+  dialog.querySelector('#ratelimit-reset-lockout').onclick = () => confirmReset('lockout', 'Bloqueig i nivell d\'escalat');
+  dialog.querySelector('#ratelimit-reset-all').onclick = () => confirmReset('all', 'Tot');
+  dialog.querySelector('#ratelimit-close').onclick = () => overlay.remove();
+  
+  overlay.appendChild(dialog);
+  host.appendChild(overlay);
 }
 
-// Auto-show status every 30 seconds (for debugging)
-if (SECURITY_CONFIG.enableSecurityLogging) {
-  setInterval(showRateLimitStatus, 30000);
-}
+// Status panel shortcut (resets inside it ask for an admin account)
+document.addEventListener('keydown', (e) => {
+  if (e.ctrlKey && e.shiftKey && e.key.toLowerCase() === RATE_LIMIT_CONFIG.statusShortcutKey) {
+    const docsOverlay = getOpenDocsOverlay();
+    if (!docsOverlay) return; // Overlay closed: leave the key to the page/browser
+
+    e.preventDefault();
+    showRateLimitStatusPanel(docsOverlay);
+  }
+});
 
 console.log('[RATE LIMITING] Initialized with limits:', {
-  overlayOpens: `${RATE_LIMIT_CONFIG.maxOverlayOpens}/min`,
-  documentClicks: `${RATE_LIMIT_CONFIG.maxDocumentClicks}/min`,
-  lockoutDuration: `${RATE_LIMIT_CONFIG.lockoutDuration / 1000}s`
+  storage: getRateLimitStorage().constructor.name,
+  overlayOpens: `${RATE_LIMIT_CONFIG.maxOverlayOpens}/min (${RATE_LIMIT_CONFIG.overlayPolicy})`,
+  documentClicks: `${RATE_LIMIT_CONFIG.maxDocumentClicks}/min (${RATE_LIMIT_CONFIG.documentPolicy})`,
+  lockoutDuration: `${RATE_LIMIT_CONFIG.lockoutDuration / 1000}s, x${RATE_LIMIT_CONFIG.lockoutEscalationFactor} per tier`
 });
@@ -8,15 +8,36 @@
 const LOGGING_CONFIG = {
   enabled: true, // Set to false to disable logging
   endpoint: 'https://your-worker.your-subdomain.workers.dev/log', // Your Cloudflare Worker URL
-  apiKey: 'your-secret-api-key-change-this', // Must match server
+  sessionEndpoint: 'https://your-worker.your-subdomain.workers.dev/session', // Issues signed session tokens (needs a Google ID token)
+  tokenRefreshMargin: 60000, // Renew the session token 1 minute before it expires
   batchSize: 10, // Send logs in batches
   flushInterval: 30000, // Flush every 30 seconds
-  maxRetries: 3
+  maxRetries: 3, // Failed sends per event before it is dropped
+  retryBaseDelay: 5000, // Backoff between retries: 5s, 10s, 20s...
+  retryMaxDelay: 300000, // ...capped at 5 minutes
+  maxQueueSize: 500, // Events kept while the server is unreachable
+  dropPolicy: 'oldest', // Queue full: 'oldest' drops the oldest queued event, 'newest' the incoming one
+  queueDbName: 'clickedu_security_log', // IndexedDB queue (survives navigation)
+  queueStoreName: 'pending_events',
+  queueLeaseMs: 120000 // A tab owns its queued events while it renews this lease; then others may take them
 };
 
-// Event queue for batching
-let eventQueue = [];
+// Pending events of this tab by eventId:
+// { id, event, attempts, nextAttemptAt, queuedAt, owner, leaseUntil }
+// Mirrors this tab's share of the IndexedDB queue (shared by every tab) so the
+// unload beacon can read it synchronously
+const eventQueue = new Map();
 let flushTimer = null;
+let flushInProgress = false;
+let droppedEventCount = 0;
+
+// Short-lived signed token from the worker: { token, expiresAt }
+let sessionToken = null;
+
+// Google ID token proving who is logging: { idToken, expiresAt }
+// Set by google-sheets-oauth.js after sign-in (setLoggingIdentity)
+let loggingIdentity = null;
+let sessionTokenFailures = 0; // In a row; backs off the next flush
 
 // Session tracking
 const sessionId = generateSessionId();
@@ -30,6 +51,7 @@ async function logSecurityEventToServer(eventType, metadata = {}) {
   if (!LOGGING_CONFIG.enabled) return;
 
   const event = {
+    eventId: generateEventId(),
     eventType: eventType,
     sessionId: sessionId,
     eventNumber: ++eventCounter,
@@ -45,10 +67,11 @@ async function logSecurityEventToServer(eventType, metadata = {}) {
   };
 
   // Add to queue
-  eventQueue.push(event);
+  enqueueEvent(event);
 
-  // If queue is full, flush immediately
-  if (eventQueue.length >= LOGGING_CONFIG.batchSize) {
+  // If a full batch is waiting, flush immediately (unless backing off
+  // after a failed token request)
+  if (getDueEvents().length >= LOGGING_CONFIG.batchSize && sessionTokenFailures === 0) {
     await flushEvents();
   } else {
     // Otherwise, schedule a flush
@@ -56,74 +79,421 @@ async function logSecurityEventToServer(eventType, metadata = {}) {
   }
 }
 
+// ============================================================================
+// PERSISTENT EVENT QUEUE (IndexedDB)
+// ============================================================================
+
 /**
- * Send queued events to server
+ * Open (and create if needed) the queue database
  */
-async function flushEvents() {
-  if (eventQueue.length === 0) return;
+function openEventQueueDB() {
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB not available'));
+      return;
+    }
+
+    const request = indexedDB.open(LOGGING_CONFIG.queueDbName, 1);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(LOGGING_CONFIG.queueStoreName)) {
+        db.createObjectStore(LOGGING_CONFIG.queueStoreName, { keyPath: 'id' });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run operation against the queue store
+ * Failures only cost durability: the in-memory queue keeps working
+ */
+async function withEventQueueStore(mode, operation) {
+  if (!window.indexedDB) return undefined; // Memory-only queue
+
+  try {
+    const db = await openEventQueueDB();
+
+    try {
+      return await new Promise((resolve, reject) => {
+        const tx = db.transaction(LOGGING_CONFIG.queueStoreName, mode);
+        const request = operation(tx.objectStore(LOGGING_CONFIG.queueStoreName));
+
+        tx.oncomplete = () => resolve(request?.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+    } finally {
+      db.close();
+    }
+  } catch (error) {
+    console.warn('[LOGGING] Event queue storage unavailable:', error);
+    return undefined;
+  }
+}
+
+function persistQueuedEvents(records) {
+  return withEventQueueStore('readwrite', store => {
+    records.forEach(record => store.put(record));
+  });
+}
+
+/**
+ * Remove events from the queue (sent, dropped or out of retries)
+ */
+function removeQueuedEvents(ids) {
+  ids.forEach(id => eventQueue.delete(id));
+  return withEventQueueStore('readwrite', store => {
+    ids.forEach(id => store.delete(id));
+  });
+}
+
+/**
+ * Claim queued events for this tab: renew the lease on our own, and take over
+ * those whose owner stopped renewing (a closed page, or a tab that crashed).
+ * Events another live tab owns are left to it, so no two tabs send the same
+ * event. One readwrite transaction, so two tabs can't claim the same event.
+ */
+async function claimQueuedEvents() {
+  const now = Date.now();
+  const claimed = [];
+  const lost = [];
+
+  await withEventQueueStore('readwrite', store => {
+    const request = store.getAll();
+    request.onsuccess = () => {
+      request.result.forEach(record => {
+        if (record.owner !== sessionId && record.leaseUntil > now) {
+          if (eventQueue.has(record.id)) lost.push(record.id);
+          return;
+        }
+
+        const ours = eventQueue.get(record.id) || record;
+        ours.owner = sessionId;
+        ours.leaseUntil = now + LOGGING_CONFIG.queueLeaseMs;
+        store.put(ours);
+        claimed.push(ours);
+      });
+    };
+    return request;
+  });
+
+  // Throttled long enough for another tab to take them over
+  lost.forEach(id => eventQueue.delete(id));
+
+  let restored = 0;
+  claimed.forEach(record => {
+    if (eventQueue.has(record.id)) return;
+    eventQueue.set(record.id, record);
+    restored++;
+  });
+
+  if (restored > 0) {
+    trimEventQueue();
+    console.log('[LOGGING] Restored', restored, 'pending events');
+    scheduleFlush();
+  }
+}
+
+/**
+ * Load events left over by earlier pages and keep our leases alive
+ * Some may already have been delivered by an unload beacon; the server
+ * drops those by eventId
+ */
+function restoreEventQueue() {
+  claimQueuedEvents();
+  setInterval(claimQueuedEvents, LOGGING_CONFIG.queueLeaseMs / 4);
+}
+
+/**
+ * Queue an event, applying dropPolicy when the queue is full
+ * Dropped events are counted and reported with the next batch
+ */
+function enqueueEvent(event) {
+  if (eventQueue.size >= LOGGING_CONFIG.maxQueueSize && LOGGING_CONFIG.dropPolicy === 'newest') {
+    droppedEventCount++;
+    console.warn('[LOGGING] Queue full, dropped incoming event:', event.eventType);
+    return;
+  }
+
+  const record = {
+    id: event.eventId,
+    event: event,
+    attempts: 0,
+    nextAttemptAt: 0,
+    queuedAt: Date.now(),
+    owner: sessionId,
+    leaseUntil: Date.now() + LOGGING_CONFIG.queueLeaseMs
+  };
 
-  const eventsToSend = [...eventQueue];
-  eventQueue = [];
+  eventQueue.set(record.id, record);
+  persistQueuedEvents([record]);
+  trimEventQueue();
+}
+
+/**
+ * Drop the oldest events over maxQueueSize
+ */
+function trimEventQueue() {
+  const excess = eventQueue.size - LOGGING_CONFIG.maxQueueSize;
+  if (excess <= 0) return;
+
+  const oldest = [...eventQueue.values()]
+    .sort((a, b) => a.queuedAt - b.queuedAt)
+    .slice(0, excess);
+
+  droppedEventCount += oldest.length;
+  removeQueuedEvents(oldest.map(record => record.id));
+  console.warn('[LOGGING] Queue full, dropped', oldest.length, 'oldest events');
+}
+
+/**
+ * Events not waiting on a retry backoff, oldest first
+ */
+function getDueEvents(now = Date.now()) {
+  return [...eventQueue.values()]
+    .filter(record => record.nextAttemptAt <= now)
+    .sort((a, b) => a.queuedAt - b.queuedAt);
+}
+
+/**
+ * Back off failed events, dropping those past maxRetries
+ */
+function scheduleRetry(records) {
+  const now = Date.now();
+  const exhausted = [];
+  const retrying = [];
+
+  records.forEach(record => {
+    record.attempts++;
+
+    if (record.attempts > LOGGING_CONFIG.maxRetries) {
+      exhausted.push(record.id);
+      return;
+    }
+
+    const delay = Math.min(
+      LOGGING_CONFIG.retryMaxDelay,
+      LOGGING_CONFIG.retryBaseDelay * Math.pow(2, record.attempts - 1)
+    );
+    record.nextAttemptAt = now + delay;
+    retrying.push(record);
+  });
+
+  if (exhausted.length > 0) {
+    droppedEventCount += exhausted.length;
+    removeQueuedEvents(exhausted);
+    console.warn('[LOGGING] Dropped', exhausted.length, 'events after', LOGGING_CONFIG.maxRetries, 'retries');
+  }
+
+  if (retrying.length > 0) {
+    persistQueuedEvents(retrying);
+  }
+}
+
+// ============================================================================
+// SESSION TOKEN
+// ============================================================================
+
+function hasValidSessionToken(margin = 0) {
+  return !!sessionToken && sessionToken.expiresAt - Date.now() > margin;
+}
+
+/**
+ * Set (or clear, with null) the Google ID token sent to the session endpoint
+ * Only the ID token (a JWT for our client id) is shared, never the OAuth
+ * access token, which can read the user's sheets
+ */
+function setLoggingIdentity(idToken) {
+  sessionToken = null; // Issued to the previous account (or none)
+
+  if (!idToken) {
+    loggingIdentity = null;
+    return;
+  }
+
+  try {
+    const claims = JSON.parse(atob(idToken.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    loggingIdentity = { idToken: idToken, expiresAt: claims.exp * 1000 };
+  } catch (error) {
+    console.warn('[LOGGING] Ignoring malformed ID token:', error);
+    loggingIdentity = null;
+    return;
+  }
+
+  // Events queued while nobody was signed in can go now
+  sessionTokenFailures = 0;
+  if (eventQueue.size > 0) flushEvents();
+}
+
+/**
+ * Current session token, renewed from the worker when about to expire
+ * Needs a Google ID token: the worker issues nothing to anonymous callers
+ */
+async function getSessionToken() {
+  if (hasValidSessionToken(LOGGING_CONFIG.tokenRefreshMargin)) {
+    return sessionToken.token;
+  }
+
+  if (!loggingIdentity || loggingIdentity.expiresAt <= Date.now()) {
+    throw new Error('No Google ID token yet (not signed in)');
+  }
+
+  const response = await fetch(LOGGING_CONFIG.sessionEndpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ idToken: loggingIdentity.idToken })
+  });
+  if (!response.ok) {
+    throw new Error(`Session token request failed: ${response.status}`);
+  }
+
+  sessionToken = await response.json();
+  return sessionToken.token;
+}
+
+/**
+ * Request body for a batch (shared by fetch and beacon)
+ * The token travels in the body because sendBeacon can't set headers
+ */
+function buildBatchBody(records, token) {
+  return JSON.stringify({
+    events: records.map(record => record.event),
+    batchId: generateBatchId(),
+    droppedEvents: droppedEventCount,
+    token: token
+  });
+}
+
+/**
+ * Send the next batch of due events to the server
+ */
+async function flushEvents() {
+  if (flushInProgress) return;
 
   if (flushTimer) {
     clearTimeout(flushTimer);
     flushTimer = null;
   }
 
+  const eventsToSend = getDueEvents().slice(0, LOGGING_CONFIG.batchSize);
+  if (eventsToSend.length === 0) {
+    scheduleFlush();
+    return;
+  }
+
+  flushInProgress = true;
+  const reportedDrops = droppedEventCount;
+  let sent = false;
+
+  // No token, no delivery attempt: a token endpoint outage doesn't count
+  // against the events' maxRetries, the whole flush just backs off
+  let token;
+  try {
+    token = await getSessionToken();
+    sessionTokenFailures = 0;
+  } catch (error) {
+    console.warn('[LOGGING] Could not get a session token:', error);
+    flushInProgress = false;
+    scheduleTokenRetry();
+    return;
+  }
+
   try {
     const response = await fetch(LOGGING_CONFIG.endpoint, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json',
-        'X-API-Key': LOGGING_CONFIG.apiKey
+        'Content-Type': 'application/json'
       },
-      body: JSON.stringify({
-        events: eventsToSend,
-        batchId: generateBatchId()
-      })
+      body: buildBatchBody(eventsToSend, token)
     });
 
     if (!response.ok) {
       console.warn('[LOGGING] Failed to send events:', response.status);
-      // Re-queue events for retry (with limit)
-      if (eventsToSend.length < 100) {
-        eventQueue.unshift(...eventsToSend);
-      }
+      // Rejected token (e.g. the worker's secret changed): get a new one next time
+      if (response.status === 401) sessionToken = null;
     } else {
+      sent = true;
       console.log('[LOGGING] Successfully sent', eventsToSend.length, 'events');
     }
   } catch (error) {
     console.error('[LOGGING] Error sending events:', error);
-    // Re-queue on network error
-    if (eventsToSend.length < 100) {
-      eventQueue.unshift(...eventsToSend);
+  } finally {
+    flushInProgress = false;
+  }
+
+  if (sent) {
+    droppedEventCount -= reportedDrops;
+    await removeQueuedEvents(eventsToSend.map(record => record.id));
+
+    // More than a batch was waiting: keep going
+    if (getDueEvents().length >= LOGGING_CONFIG.batchSize) {
+      return flushEvents();
     }
+  } else {
+    scheduleRetry(eventsToSend);
   }
+
+  scheduleFlush();
 }
 
 /**
  * Schedule event flush
+ * Waits flushInterval, or until the earliest retry when everything is backing off
  */
 function scheduleFlush() {
-  if (flushTimer) return; // Already scheduled
-  
+  if (flushTimer || eventQueue.size === 0) return; // Already scheduled / nothing to send
+
+  const now = Date.now();
+  const nextAttemptAt = Math.min(...[...eventQueue.values()].map(record => record.nextAttemptAt));
+  const delay = nextAttemptAt > now ? nextAttemptAt - now : LOGGING_CONFIG.flushInterval;
+
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flushEvents();
+  }, delay);
+}
+
+/**
+ * Try the flush again after a failed token request (same backoff as events)
+ */
+function scheduleTokenRetry() {
+  const delay = Math.min(
+    LOGGING_CONFIG.retryBaseDelay * Math.pow(2, sessionTokenFailures++),
+    LOGGING_CONFIG.retryMaxDelay
+  );
+
   flushTimer = setTimeout(() => {
+    flushTimer = null;
     flushEvents();
-  }, LOGGING_CONFIG.flushInterval);
+  }, delay);
 }
 
 /**
  * Flush on page unload
+ * sendBeacon can't report delivery, so the events stay queued; the next page
+ * sends them again and the server deduplicates by eventId
  */
 window.addEventListener('beforeunload', () => {
-  if (eventQueue.length > 0) {
-    // Use sendBeacon for reliable unload sending
-    const blob = new Blob([JSON.stringify({
-      events: eventQueue,
-      batchId: generateBatchId()
-    })], { type: 'application/json' });
-    
-    navigator.sendBeacon(LOGGING_CONFIG.endpoint, blob);
+  // No time to renew an expired token here: the queue is sent by the next
+  // page, once this page's lease on it runs out (claimQueuedEvents)
+  if (!hasValidSessionToken()) return;
+
+  const pending = [...eventQueue.values()].sort((a, b) => a.queuedAt - b.queuedAt);
+
+  for (let i = 0; i < pending.length; i += LOGGING_CONFIG.batchSize) {
+    // text/plain keeps the beacon a simple CORS request (no preflight)
+    const blob = new Blob([buildBatchBody(pending.slice(i, i + LOGGING_CONFIG.batchSize), sessionToken.token)], {
+      type: 'text/plain'
+    });
+
+    // false = the browser's beacon quota is used up
+    if (!navigator.sendBeacon(LOGGING_CONFIG.endpoint, blob)) break;
   }
 });
 
@@ -138,6 +508,10 @@ function generateBatchId() {
   return `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 }
 
+function generateEventId() {
+  return `evt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
 // ============================================================================
 // ENHANCED SECURITY LOGGING WITH SERVER INTEGRATION
 // ============================================================================
@@ -262,4 +636,10 @@ window.addEventListener('unhandledrejection', (event) => {
   });
 });
 
+// Send whatever earlier pages couldn't deliver. The session token comes
+// once the user signs in (setLoggingIdentity), not while this file loads
+if (LOGGING_CONFIG.enabled) {
+  restoreEventQueue();
+}
+
 console.log('[LOGGING] Security logging initialized with session:', sessionId);
@@ -0,0 +1,314 @@
+// sheet-linter.js
+// Add this to bookmarklet.js, after data-sources.js
+
+// ============================================================================
+// SHEET LINTER CONFIGURATION
+// ============================================================================
+
+const SHEET_LINT_CONFIG = {
+  // Ctrl+Shift+<key> opens the diagnostics report (Ctrl+Shift+S opens the sheet)
+  shortcutKey: 'l',
+
+  // File name of the exported report
+  exportFileName: 'diagnostic-google-sheet.csv'
+};
+
+const LINT_SEVERITY_LABELS = {
+  error: '❌ Error',
+  warning: '⚠️ Avís'
+};
+
+/**
+ * Spreadsheet column letter for a 0-based index (0 → A, 27 → AB)
+ */
+function columnLetter(index) {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + (n - 1) % 26) + letter;
+  }
+  return letter;
+}
+
+/**
+ * URL checks that don't need the network
+ * Returns a list of { severity, code, message }
+ */
+function lintURL(url) {
+  const problems = [];
+  let parsed;
+
+  try {
+    parsed = new URL(url);
+  } catch {
+    return [{ severity: 'error', code: 'invalid_url', message: `URL mal formada: ${url}` }];
+  }
+
+  if (parsed.protocol === 'http:') {
+    problems.push({ severity: 'warning', code: 'non_https', message: 'L\'enllaç no fa servir HTTPS' });
+  } else if (parsed.protocol !== 'https:') {
+    problems.push({ severity: 'error', code: 'bad_protocol', message: `Protocol no permès: ${parsed.protocol}` });
+  }
+
+  const host = parsed.hostname;
+  const isPrivateIP = /^(127\.|10\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.)/.test(host);
+
+  if (host === 'localhost' || isPrivateIP || !host.includes('.') || /\s/.test(url)) {
+    problems.push({
+      severity: 'warning',
+      code: 'unreachable_url',
+      message: `Sembla que l'enllaç no és accessible des de fora: ${host || url}`
+    });
+  }
+
+  // Use the unwrapped check so linting doesn't report security_block events
+  const checkURL = typeof originalIsURLSafe === 'function' ? originalIsURLSafe : isURLSafe;
+  const safety = checkURL(url);
+  if (!safety.safe) {
+    problems.push({ severity: 'error', code: 'blocked_url', message: `Bloquejat: ${safety.reason}` });
+  }
+
+  return problems;
+}
+
+/**
+ * Lint one table of raw rows (header first)
+ * Returns a list of { table, row, column, severity, code, message }
+ */
+function lintTable(table) {
+  const issues = [];
+  const rows = table.rows;
+  if (rows.length === 0) return issues;
+
+  const sheetRow = (index) => table.startRow + index;
+  const add = (index, column, severity, code, message) => {
+    issues.push({
+      table: table.name,
+      row: sheetRow(index),
+      column: column === null ? '' : columnLetter(column),
+      severity,
+      code,
+      message
+    });
+  };
+
+  // Header: unknown columns are ignored by the overlay
+  const resolved = resolveColumns(rows[0]);
+  const columns = resolved ? resolved.columns : SHEET_SCHEMA_CONFIG.legacyColumns;
+  const unknown = resolved
+    ? resolved.unknown
+    : rows[0].map((cell, index) => ({ name: String(cell ?? '').trim(), index }))
+      .filter(col => col.name && !Object.values(columns).includes(col.index));
+
+  unknown.forEach(col => {
+    add(0, col.index, 'warning', 'unknown_column', `Columna desconeguda, s'ignora: "${col.name}"`);
+  });
+
+  const labelsSeen = {};
+  const groupRows = {};
+  const groupDocs = {};
+
+  for (let i = 1; i < rows.length; i++) {
+    const row = rows[i];
+    if (!row.some(cell => String(cell ?? '').trim())) continue;
+
+    const group = readRowField(row, columns, 'group');
+    const label = readRowField(row, columns, 'label');
+    const url = readRowField(row, columns, 'url');
+
+    if (group && !(group in groupRows)) {
+      groupRows[group] = i;
+      groupDocs[group] = 0;
+    }
+
+    // Group-only rows carry the group's audience
+    if (group && !label && !url && readRowField(row, columns, 'audience')) continue;
+
+    if (!group || !label || !url) {
+      add(i, null, 'error', 'missing_field', describeSkippedRow(row, columns));
+      continue;
+    }
+
+    const urlProblems = lintURL(url);
+    urlProblems.forEach(problem => add(i, columns.url, problem.severity, problem.code, problem.message));
+
+    const sha256 = readRowField(row, columns, 'sha256');
+    if (sha256 && !isValidContentHash(normalizeContentHash(sha256))) {
+      add(i, columns.sha256, 'error', 'bad_sha256', 'El sha256 ha de tenir 64 caràcters hexadecimals: el document no s\'obrirà');
+    } else if (sha256 && !isContentHashOrigin(url)) {
+      add(i, columns.url, 'error', 'sha256_origin',
+        'Només es pot verificar el sha256 de documents allotjats al nostre GitHub Pages: el document no s\'obrirà');
+    }
+
+    const key = `${group}\u0000${label}`.toLowerCase();
+    if (key in labelsSeen) {
+      add(i, columns.label, 'warning', 'duplicate_label',
+        `Etiqueta duplicada "${label}" al grup "${group}" (també a la fila ${sheetRow(labelsSeen[key])})`);
+    } else {
+      labelsSeen[key] = i;
+    }
+
+    if (!urlProblems.some(problem => problem.severity === 'error')) {
+      groupDocs[group]++;
+    }
+  }
+
+  Object.keys(groupRows).forEach(group => {
+    if (groupDocs[group] === 0) {
+      add(groupRows[group], columns.group, 'warning', 'empty_group',
+        `El grup "${group}" no té cap document vàlid`);
+    }
+  });
+
+  return issues.sort((a, b) => a.row - b.row);
+}
+
+/**
+ * Lint everything the pipeline loaded last
+ */
+function lintLoadedSheet() {
+  if (!lastLoadedData || !lastLoadedData.adapter.tables) return null;
+
+  const { adapter, source, raw } = lastLoadedData;
+  const issues = adapter.tables(raw, source)
+    .filter(table => !table.roles) // Not doc rows
+    .flatMap(lintTable);
+
+  logSecurity('info', `Sheet lint finished with ${issues.length} issues`, {
+    errors: issues.filter(issue => issue.severity === 'error').length
+  });
+
+  return issues;
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Quote a value for CSV output
+ */
+function toCSVField(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Download the lint report as CSV
+ */
+function exportLintReportCSV(issues) {
+  const header = ['Pestanya', 'Fila', 'Columna', 'Gravetat', 'Codi', 'Missatge'];
+  const lines = [header, ...issues.map(issue => [
+    issue.table, issue.row, issue.column, issue.severity, issue.code, issue.message
+  ])].map(fields => fields.map(toCSVField).join(','));
+
+  // BOM so Excel opens accents correctly
+  const blob = new Blob(['\uFEFF' + lines.join('\r\n')], { type: 'text/csv;charset=utf-8' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = SHEET_LINT_CONFIG.exportFileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+// ============================================================================
+// UI: DIAGNOSTICS REPORT
+// ============================================================================
+
+/**
+ * Show the diagnostics report dialog
+ */
+function showLintReport(issues) {
+  const overlay = document.createElement('div');
+  Object.assign(overlay.style, {
+    position: 'fixed',
+    top: 0,
+    left: 0,
+    width: '100%',
+    height: '100%',
+    background: 'rgba(0,0,0,0.85)',
+    zIndex: 99999,
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: '20px'
+  });
+
+  const dialog = document.createElement('div');
+  Object.assign(dialog.style, {
+    background: '#fff',
+    color: '#333',
+    borderRadius: '12px',
+    padding: '25px',
+    maxWidth: '1000px',
+    width: '100%',
+    maxHeight: '85vh',
+    overflowY: 'auto',
+    boxShadow: '0 10px 40px rgba(0,0,0,0.3)'
+  });
+
+  const errors = issues.filter(issue => issue.severity === 'error').length;
+
+  dialog.innerHTML = `
+    <h2 style="margin: 0 0 10px 0;">🩺 Diagnòstic del Google Sheet</h2>
+    <p style="margin: 0 0 15px 0; color: #666;">
+      ${issues.length === 0
+        ? '✅ No s\'ha trobat cap problema.'
+        : `${errors} errors i ${issues.length - errors} avisos.`}
+    </p>
+    <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+      <thead>
+        <tr style="background: #f8f9fa; text-align: left;">
+          <th style="padding: 6px;">Pestanya</th>
+          <th style="padding: 6px;">Cel·la</th>
+          <th style="padding: 6px;">Gravetat</th>
+          <th style="padding: 6px;">Problema</th>
+        </tr>
+      </thead>
+      <tbody></tbody>
+    </table>
+    <div style="display: flex; gap: 10px; justify-content: flex-end; margin-top: 20px;">
+      <button id="lint-export" style="padding: 10px 20px; border: none; border-radius: 6px; cursor: pointer; background: #007bff; color: #fff;">
+        📥 Exportar CSV
+      </button>
+      <button id="lint-close" style="padding: 10px 20px; border: none; border-radius: 6px; cursor: pointer; background: #6c757d; color: #fff;">
+        Tancar
+      </button>
+    </div>
+  `;
+
+  // Cell text comes from the sheet: set it with textContent, never innerHTML
+  const tbody = dialog.querySelector('tbody');
+  issues.forEach(issue => {
+    const tr = document.createElement('tr');
+    tr.style.borderTop = '1px solid #dee2e6';
+    [issue.table, `${issue.column}${issue.row}`, LINT_SEVERITY_LABELS[issue.severity], issue.message]
+      .forEach(text => {
+        const td = document.createElement('td');
+        td.style.padding = '6px';
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+    tbody.appendChild(tr);
+  });
+
+  const exportBtn = dialog.querySelector('#lint-export');
+  exportBtn.disabled = issues.length === 0;
+  exportBtn.onclick = () => exportLintReportCSV(issues);
+  dialog.querySelector('#lint-close').onclick = () => overlay.remove();
+
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+}
+
+// Admin shortcut, next to Ctrl+Shift+S
+document.addEventListener('keydown', async (e) => {
+  if (e.ctrlKey && e.shiftKey && e.key.toLowerCase() === SHEET_LINT_CONFIG.shortcutKey) {
+    if (!lastLoadedData) return; // Nothing loaded yet
+
+    e.preventDefault();
+    if (!(await requireAdmin('sheet_lint'))) return;
+
+    const issues = lintLoadedSheet();
+    if (issues) showLintReport(issues);
+  }
+});
@@ -0,0 +1,270 @@
+// sheet-schema.js
+// Add this to bookmarklet.js, before google-sheets-oauth.js
+
+// ============================================================================
+// SHEET ROW SCHEMA CONFIGURATION
+// ============================================================================
+
+const SHEET_SCHEMA_CONFIG = {
+  // Find columns by header name. Sheets whose header doesn't name the
+  // group/label/url columns fall back to the old [group, label, url] layout.
+  useHeaderSchema: true,
+
+  // Accepted header names per field (compared lowercase, without accents)
+  columns: {
+    group: ['group', 'grup', 'grupo'],
+    label: ['label', 'etiqueta', 'nom', 'titol'],
+    url: ['url', 'enllac', 'link'],
+    description: ['description', 'descripcio'],
+    tags: ['tags', 'etiquetes'],
+    icon: ['icon', 'icona'],
+    audience: ['audience', 'audiencia', 'public'],
+    order: ['order', 'ordre'],
+    new_until: ['new_until', 'nou_fins'],
+    sha256: ['sha256', 'hash']
+  },
+
+  // Legacy positional layout
+  legacyColumns: { group: 0, label: 1, url: 2 },
+
+  // Longest icon accepted (emoji can take several code units)
+  maxIconLength: 8
+};
+
+/**
+ * Normalize a header cell for matching
+ */
+function normalizeHeaderName(name) {
+  return String(name || '')
+    .trim()
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, '_');
+}
+
+/**
+ * Map header names to column indexes
+ * Returns null when the header doesn't describe the required columns
+ */
+function resolveColumns(headerRow) {
+  if (!SHEET_SCHEMA_CONFIG.useHeaderSchema || !headerRow) return null;
+
+  const columns = {};
+  const unknown = [];
+
+  headerRow.forEach((cell, index) => {
+    const name = normalizeHeaderName(cell);
+    if (!name) return;
+
+    const field = Object.keys(SHEET_SCHEMA_CONFIG.columns).find(key =>
+      SHEET_SCHEMA_CONFIG.columns[key].includes(name)
+    );
+
+    if (field && columns[field] === undefined) {
+      columns[field] = index;
+    } else {
+      unknown.push({ name: String(cell).trim(), index: index });
+    }
+  });
+
+  if (columns.group === undefined || columns.label === undefined || columns.url === undefined) {
+    return null;
+  }
+
+  return { columns, unknown };
+}
+
+/**
+ * Parse the new_until column (YYYY-MM-DD or anything Date understands)
+ */
+function parseNewUntil(value) {
+  if (!value) return null;
+
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59` : value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Read one field of a row using the resolved columns
+ */
+function readRowField(row, columns, field) {
+  const index = columns[field];
+  if (index === undefined) return '';
+  return String(row[index] ?? '').trim();
+}
+
+/**
+ * Build a doc object from one row using the resolved columns
+ */
+function rowToDoc(row, columns) {
+  const cell = (field) => readRowField(row, columns, field);
+
+  const group = cell('group');
+  const label = cell('label');
+  const url = cell('url');
+
+  if (!group || !label || !url) return null;
+
+  const doc = {
+    label: sanitizeCSVValue(label),
+    url: sanitizeCSVValue(url)
+  };
+
+  const description = cell('description');
+  if (description) doc.description = sanitizeCSVValue(description);
+
+  const tags = cell('tags');
+  if (tags) {
+    doc.tags = tags.split(',')
+      .map(tag => sanitizeCSVValue(tag.trim()))
+      .filter(Boolean);
+  }
+
+  const icon = cell('icon');
+  if (icon) doc.icon = sanitizeCSVValue(icon).slice(0, SHEET_SCHEMA_CONFIG.maxIconLength);
+
+  const audience = cell('audience');
+  if (audience) doc.audience = sanitizeCSVValue(audience);
+
+  const order = parseFloat(cell('order'));
+  if (!isNaN(order)) doc.order = order;
+
+  const newUntil = parseNewUntil(cell('new_until'));
+  if (newUntil) {
+    doc.newUntil = newUntil.toISOString();
+    doc.isNew = Date.now() <= newUntil.getTime();
+  }
+
+  // Content hash of the linked file (content-hash.js)
+  const sha256 = cell('sha256');
+  if (sha256) doc.sha256 = normalizeContentHash(sha256);
+
+  return { group: sanitizeCSVValue(group), doc };
+}
+
+/**
+ * Why a row without a doc was skipped (null for blank rows)
+ */
+function describeSkippedRow(row, columns) {
+  if (!row.some(cell => String(cell ?? '').trim())) return null;
+
+  const names = { group: 'grup', label: 'etiqueta', url: 'URL' };
+  const missing = Object.keys(names).filter(field => !readRowField(row, columns, field));
+
+  return `Falta: ${missing.map(field => names[field]).join(', ')}`;
+}
+
+/**
+ * Convert sheet rows (header first) to { group: [docs] }
+ * Works for both header-driven and legacy three-column sheets
+ * Pass a diagnostics array to collect { row, reason } for every skipped row
+ */
+function parseSheetRows(rows, diagnostics = null) {
+  const groups = {};
+  if (!rows || rows.length === 0) return groups;
+
+  const resolved = resolveColumns(rows[0]);
+  const columns = resolved ? resolved.columns : SHEET_SCHEMA_CONFIG.legacyColumns;
+  const groupAudiences = {};
+
+  // Skip header row
+  for (let i = 1; i < rows.length; i++) {
+    const parsed = rowToDoc(rows[i], columns);
+
+    // A row with only group + audience sets the audience of the whole group
+    if (!parsed) {
+      const group = readRowField(rows[i], columns, 'group');
+      const audience = readRowField(rows[i], columns, 'audience');
+      if (group && audience && !readRowField(rows[i], columns, 'label')) {
+        groupAudiences[sanitizeCSVValue(group)] = sanitizeCSVValue(audience);
+        continue;
+      }
+
+      const reason = describeSkippedRow(rows[i], columns);
+      if (diagnostics && reason) {
+        // Sheet row numbers are 1-based and include the header
+        diagnostics.push({ row: i + 1, reason: reason });
+      }
+      continue;
+    }
+
+    if (!groups[parsed.group]) {
+      groups[parsed.group] = [];
+    }
+
+    groups[parsed.group].push(parsed.doc);
+  }
+
+  // Explicit order first, then sheet order (sort is stable)
+  for (const [group, docs] of Object.entries(groups)) {
+    docs.sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity));
+
+    if (groupAudiences[group]) {
+      docs.forEach(doc => doc.groupAudience = groupAudiences[group]);
+    }
+  }
+
+  return groups;
+}
+
+// ============================================================================
+// UI: TOOLTIPS, BADGES AND ICONS
+// ============================================================================
+
+/**
+ * Add description tooltips, icons, tag and "new" badges to the buttons buildUI created
+ */
+function decorateDocButtons(groups, container) {
+  const docsByUrl = new Map();
+  for (const docs of Object.values(groups)) {
+    docs.forEach(doc => docsByUrl.set(doc.url, doc));
+  }
+
+  container.querySelectorAll('button[data-url], button[data-doc-url]').forEach(btn => {
+    const doc = docsByUrl.get(btn.getAttribute('data-url') || btn.getAttribute('data-doc-url'));
+    if (!doc) return;
+
+    if (doc.description) {
+      btn.title = doc.description;
+    }
+
+    if (doc.icon) {
+      const icon = document.createElement('span');
+      icon.textContent = doc.icon + ' ';
+      btn.prepend(icon);
+    }
+
+    if (doc.isNew) {
+      btn.appendChild(createDocBadge('NOU', '#dc3545', '#fff'));
+    }
+
+    (doc.tags || []).forEach(tag => {
+      btn.appendChild(createDocBadge(tag, 'rgba(255,255,255,0.25)', 'inherit'));
+    });
+
+    if (doc.sha256 && CONTENT_HASH_CONFIG.enabled) {
+      attachContentHashCheck(btn, doc);
+    }
+  });
+}
+
+/**
+ * Small pill shown next to a document label
+ */
+function createDocBadge(text, background, color) {
+  const badge = document.createElement('span');
+  badge.textContent = text;
+  Object.assign(badge.style, {
+    display: 'inline-block',
+    marginLeft: '6px',
+    padding: '1px 7px',
+    borderRadius: '10px',
+    fontSize: '11px',
+    fontWeight: 'bold',
+    background: background,
+    color: color,
+    verticalAlign: 'middle'
+  });
+  return badge;
+}
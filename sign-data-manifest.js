@@ -0,0 +1,230 @@
+// sign-data-manifest.js
+// Sign the sheet data so the bookmarklet can verify it without a redeploy
+//
+// Usage:
+//   node sign-data-manifest.js keygen [--ed25519]   Create a key pair (once)
+//   node sign-data-manifest.js sign <data.csv>...     Sign a new data-manifest.json
+//     One CSV per configured section, in getConfiguredSections() order
+//     (GOOGLE_API_CONFIG.sections sorted by order), or the single tab
+//     --roles <roles.csv>     The roles tab (AUDIENCE_CONFIG.rolesRange), if used
+//     --raw   Hash the file bytes instead of the canonical rows
+//             (single file only; only if INTEGRITY_CONFIG.canonicalize is false)
+//     --approved-by <email>   Who approved this version (shown in the badge)
+//     --expires <YYYY-MM-DD>  Approval expiry (end of that day)
+//     --grace <YYYY-MM-DD>    Keep the previous manifest's hash approved until then
+//                             (clients that still load the old data keep verifying)
+//     --out <file>            Manifest to update (default: data-manifest.json here)
+//
+// Unexpired approvedHashes of the previous manifest are carried over.
+//
+// Keep manifest-private-key.pem OFF GitHub. Publish only data-manifest.json
+// (gitignored so a test run isn't committed: git add -f it to publish).
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseCSVRows } = require('./csv-parser.js');
+const { canonicalizeTables } = require('./canonical-data.js');
+
+const PRIVATE_KEY_FILE = path.join(__dirname, 'manifest-private-key.pem');
+const MANIFEST_FILE = path.join(__dirname, 'data-manifest.json');
+
+const [command, ...args] = process.argv.slice(2);
+
+function printBanner(title) {
+  console.log('='.repeat(80));
+  console.log(title);
+  console.log('='.repeat(80));
+}
+
+/**
+ * Create a new key pair and print the public JWK for INTEGRITY_CONFIG
+ */
+function keygen() {
+  if (fs.existsSync(PRIVATE_KEY_FILE)) {
+    console.error(`❌ ${PRIVATE_KEY_FILE} already exists. Delete it first to rotate keys.`);
+    process.exit(1);
+  }
+
+  const useEd25519 = args.includes('--ed25519');
+  const { publicKey, privateKey } = useEd25519
+    ? crypto.generateKeyPairSync('ed25519')
+    : crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+  fs.writeFileSync(PRIVATE_KEY_FILE, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+
+  const jwk = publicKey.export({ format: 'jwk' });
+
+  printBanner('MANIFEST KEY PAIR GENERATED');
+  console.log('\n🔑 Private key saved to', PRIVATE_KEY_FILE, '(keep it secret!)\n');
+  console.log('UPDATE THIS IN bookmarklet.js (INTEGRITY_CONFIG.manifest):\n');
+  console.log(`  algorithm: '${useEd25519 ? 'Ed25519' : 'ECDSA-P256'}',`);
+  console.log(`  publicKey: ${JSON.stringify(jwk)}`);
+  console.log('');
+  console.log('='.repeat(80));
+}
+
+/**
+ * Value following a --flag, or null
+ */
+function flagValue(name) {
+  const index = args.indexOf(name);
+  return index === -1 ? null : args[index + 1] || null;
+}
+
+/**
+ * YYYY-MM-DD (the format the bookmarklet reads as "until the end of that day")
+ */
+function isApprovalDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(new Date(value).getTime());
+}
+
+/**
+ * Approved entries for the next manifest: the unexpired ones of the previous
+ * manifest, plus the previous hash itself until graceUntil
+ */
+function carriedApprovals(previous, hash, graceUntil) {
+  if (!previous) return [];
+
+  const today = new Date().toISOString().slice(0, 10);
+  const entries = (previous.approvedHashes || []).filter(entry => !entry.expiresAt || entry.expiresAt >= today);
+
+  if (graceUntil) {
+    entries.push({
+      hash: previous.hash,
+      approvedBy: previous.approvedBy,
+      approvedAt: previous.timestamp,
+      expiresAt: graceUntil
+    });
+  }
+
+  return entries.filter(entry => entry.hash !== hash);
+}
+
+/**
+ * sha256 ('sha256-...') of CSV exports, exactly as the bookmarklet hashes them
+ * csvTexts: one per section in getConfiguredSections() order, the roles tab
+ * last. The order matters: a different order gives a different hash.
+ * raw: hash the bytes of a single CSV instead of the canonical rows
+ */
+function hashCSVData(csvTexts, raw = false) {
+  if (raw && csvTexts.length !== 1) {
+    throw new Error('--raw hashes exactly one CSV (no extra sections or --roles)');
+  }
+
+  // Same canonical form the bookmarklet hashes (canonical-data.js)
+  const hashInput = raw
+    ? csvTexts[0]
+    : canonicalizeTables(csvTexts.map(text => ({ rows: parseCSVRows(text).rows })));
+
+  return `sha256-${crypto.createHash('sha256').update(hashInput).digest('hex')}`;
+}
+
+/**
+ * Sign a hash ('sha256-...') into manifestFile (data-manifest.json)
+ * approval = { approvedBy, expiresAt, graceUntil } (optional)
+ * Also used by generate-csv-hash.js --manifest
+ */
+function writeSignedManifest(hash, approval = {}, manifestFile = MANIFEST_FILE) {
+  const privateKey = crypto.createPrivateKey(fs.readFileSync(PRIVATE_KEY_FILE));
+
+  // Versions only go up: the bookmarklet refuses older manifests
+  let previous = null;
+  if (fs.existsSync(manifestFile)) {
+    previous = JSON.parse(JSON.parse(fs.readFileSync(manifestFile, 'utf8')).payload);
+  }
+
+  const version = (previous ? previous.version : 0) + 1;
+  const approvedHashes = carriedApprovals(previous, hash, approval.graceUntil);
+  const payload = JSON.stringify({
+    hash: hash,
+    version: version,
+    timestamp: new Date().toISOString(),
+    approvedBy: approval.approvedBy || undefined,
+    expiresAt: approval.expiresAt || undefined,
+    approvedHashes: approvedHashes.length ? approvedHashes : undefined
+  });
+
+  // WebCrypto expects raw r||s for ECDSA, not DER
+  const isEd25519 = privateKey.asymmetricKeyType === 'ed25519';
+  const signature = isEd25519
+    ? crypto.sign(null, Buffer.from(payload), privateKey)
+    : crypto.sign('sha256', Buffer.from(payload), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+
+  const manifest = {
+    payload: payload,
+    signature: signature.toString('base64')
+  };
+
+  fs.writeFileSync(manifestFile, JSON.stringify(manifest, null, 2));
+
+  return { version, algorithm: isEd25519 ? 'Ed25519' : 'ECDSA-P256', approvedHashes };
+}
+
+/**
+ * Hash the data files and write a signed data-manifest.json
+ */
+function sign() {
+  const flagsWithValue = ['--approved-by', '--expires', '--grace', '--roles', '--out'];
+  const dataFiles = args.filter((arg, index) => !arg.startsWith('--') && !flagsWithValue.includes(args[index - 1]));
+  const rolesFile = flagValue('--roles');
+  const useRaw = args.includes('--raw');
+  const manifestFile = flagValue('--out') || MANIFEST_FILE;
+  const approval = {
+    approvedBy: flagValue('--approved-by'),
+    expiresAt: flagValue('--expires'),
+    graceUntil: flagValue('--grace')
+  };
+
+  if (dataFiles.length === 0) {
+    console.error('Usage: node sign-data-manifest.js sign <data.csv>... [--roles <roles.csv>] [--raw] [--approved-by <email>] [--expires <date>] [--grace <date>] [--out <file>]');
+    process.exit(1);
+  }
+
+  for (const flag of ['--expires', '--grace']) {
+    if (flagValue(flag) && !isApprovalDate(flagValue(flag))) {
+      console.error(`❌ ${flag} expects a date as YYYY-MM-DD`);
+      process.exit(1);
+    }
+  }
+
+  const files = rolesFile ? [...dataFiles, rolesFile] : dataFiles;
+  let hash;
+  try {
+    hash = hashCSVData(files.map(file => fs.readFileSync(file, 'utf8')), useRaw);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const { version, algorithm, approvedHashes } = writeSignedManifest(hash, approval, manifestFile);
+
+  printBanner('DATA MANIFEST SIGNED');
+  console.log('\n📄 Data:', files.join(', '));
+  console.log('🔐 Hash:', hash, useRaw ? '(raw bytes)' : '(canonical rows)');
+  console.log('🔢 Version:', version);
+  console.log('✍️  Algorithm:', algorithm);
+  if (approval.approvedBy) console.log('👤 Approved by:', approval.approvedBy);
+  if (approval.expiresAt) console.log('⏰ Expires:', approval.expiresAt);
+  approvedHashes.forEach(entry => {
+    console.log('🕒 Also approved:', entry.hash, entry.expiresAt ? `until ${entry.expiresAt}` : '');
+  });
+  console.log('');
+  console.log('✅ Manifest saved to', manifestFile);
+  console.log('   Publish it at INTEGRITY_CONFIG.manifest.url (GitHub Pages)');
+  console.log('='.repeat(80));
+}
+
+if (require.main === module) {
+  switch (command) {
+    case 'keygen': keygen(); break;
+    case 'sign': sign(); break;
+    default:
+      console.log('Usage:');
+      console.log('  node sign-data-manifest.js keygen [--ed25519]');
+      console.log('  node sign-data-manifest.js sign <data.csv>... [--roles <roles.csv>] [--raw] [--approved-by <email>] [--expires <date>] [--grace <date>] [--out <file>]');
+      process.exit(command ? 1 : 0);
+  }
+}
+
+module.exports = { hashCSVData, isApprovalDate, writeSignedManifest, MANIFEST_FILE };